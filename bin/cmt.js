@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { filterWorkbooks } from '../src/core/contentCore.js';
+import { EXPORT_FORMATS } from '../src/utils/exporters.js';
+import { parsePreset } from '../src/utils/presets.js';
+
+// Command-line front end to the content core, for scheduled jobs:
+//   cmt filter in.xlsx --preset p.json -o out.xlsx
+// Exits with 0 once the export is written, 1 on bad arguments or unreadable files, and
+// 2 when paths in the preset are not in the workbook (unless --allow-missing).
+
+const USAGE = `Usage: cmt filter <workbook...> --preset <preset.json> -o <output>
+
+Workbooks can be .xlsx, .xls, .ods, CSV (encoding and delimiter are detected) or JSON.
+
+Options:
+  -p, --preset <file>    Selection preset saved from the content tool (required)
+  -o, --output <file>    File to write the export to (required)
+  -f, --format <id>      ${EXPORT_FORMATS.map(format => format.id).join(', ')} (default xlsx)
+  -m, --mapping <file>   Column mappings as { "Sheet": { "depth": 4, "columns": [...] } };
+                         suggested from the headers when left out
+      --combine-sheets   Combine same-named sheets of several workbooks into one
+      --canonical-names  Write merged names into the hierarchy columns
+      --allow-missing    Write the export even when preset paths don't match
+  -h, --help             Show this help
+`;
+
+const EXIT_ERROR = 1;
+const EXIT_MISSING_PATHS = 2;
+
+const OPTIONS = {
+  preset: { type: 'string', short: 'p' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f', default: 'xlsx' },
+  mapping: { type: 'string', short: 'm' },
+  'combine-sheets': { type: 'boolean', default: false },
+  'canonical-names': { type: 'boolean', default: false },
+  'allow-missing': { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+// An uploaded file as the core expects it: { name, buffer } with an ArrayBuffer of its own
+const readInputFile = (path) => {
+  const data = readFileSync(path);
+  return { name: basename(path), buffer: data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) };
+};
+
+const formatPath = (path) => path.join(' › ');
+
+const run = (args) => {
+  const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+  const [command, ...inputs] = positionals;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (command !== 'filter' || inputs.length === 0 || !values.preset || !values.output) {
+    process.stderr.write(USAGE);
+    return EXIT_ERROR;
+  }
+  if (!EXPORT_FORMATS.some(format => format.id === values.format)) {
+    throw new Error(`Unknown format "${values.format}"`);
+  }
+
+  const preset = parsePreset(readFileSync(values.preset, 'utf8'));
+  const { data, report, exportedRowCount } = filterWorkbooks(inputs.map(readInputFile), preset, {
+    sheetMappings: values.mapping ? JSON.parse(readFileSync(values.mapping, 'utf8')) : null,
+    collisionMode: values['combine-sheets'] ? 'combine' : 'namespace',
+    exportOptions: { format: values.format, canonicalNames: values['canonical-names'] }
+  });
+
+  report.missing.forEach(rule => console.error(`Not in the workbook: ${formatPath(rule.path)}`));
+  report.uncovered.forEach(({ path, selected }) => {
+    console.error(`New, not in the preset (${selected ? 'selected' : 'not selected'}): ${formatPath(path)}`);
+  });
+  if (report.missing.length > 0 && !values['allow-missing']) {
+    console.error(`${report.missing.length} preset path(s) did not match; nothing was written.`);
+    return EXIT_MISSING_PATHS;
+  }
+
+  writeFileSync(values.output, typeof data === 'string' ? data : new Uint8Array(data));
+  console.log(`Wrote ${exportedRowCount} rows to ${values.output}`);
+  return 0;
+};
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  console.error(`cmt: ${error.message}`);
+  process.exitCode = EXIT_ERROR;
+}
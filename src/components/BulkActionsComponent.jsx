@@ -0,0 +1,96 @@
+import React, { useMemo, useState } from 'react';
+import { HIERARCHY_LEVELS } from '../utils/columnMapping';
+import { NAME_MATCH_MODES } from '../utils/treeActions';
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Expand the tree to a chosen depth, and check or uncheck every node at one level with a
+// given name (or one containing some text), e.g. every chapter named "Revision" in all subjects
+const BulkActionsComponent = ({ maxDepth, countMatches, onExpandToDepth, onSelectAtLevel }) => {
+  const levels = HIERARCHY_LEVELS.slice(0, maxDepth);
+  const [level, setLevel] = useState(1);
+  const [query, setQuery] = useState('');
+  const [matchMode, setMatchMode] = useState('exact');
+  const [checked, setChecked] = useState(false);
+  const matchCount = useMemo(() => countMatches(level, query, matchMode), [countMatches, level, query, matchMode]);
+
+  const depths = [
+    { depth: 0, label: 'Sheets only' },
+    ...levels.map((option, index) => ({ depth: index + 1, label: capitalize(option.plural) })),
+    { depth: maxDepth + 1, label: 'Rows' }
+  ];
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50 flex flex-wrap items-center gap-x-6 gap-y-3 text-sm text-gray-700">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">Expand to</span>
+        {depths.map(({ depth, label }) => (
+          <button
+            key={depth}
+            onClick={() => onExpandToDepth(depth)}
+            className="px-2 py-1 rounded border border-gray-300 bg-white hover:bg-gray-100"
+            type="button"
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      <form
+        className="flex flex-wrap items-center gap-2"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSelectAtLevel(level, query, matchMode, checked);
+        }}
+      >
+        <select
+          value={checked ? 'check' : 'uncheck'}
+          onChange={(e) => setChecked(e.target.value === 'check')}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          aria-label="Check or uncheck"
+        >
+          <option value="uncheck">Uncheck</option>
+          <option value="check">Check</option>
+        </select>
+        <span>every</span>
+        <select
+          value={level}
+          onChange={(e) => setLevel(Number(e.target.value))}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          aria-label="Level"
+        >
+          {levels.map((option, index) => (
+            <option key={option.key} value={index + 1}>{option.label.toLowerCase()}</option>
+          ))}
+        </select>
+        <select
+          value={matchMode}
+          onChange={(e) => setMatchMode(e.target.value)}
+          className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          aria-label="Name match"
+        >
+          {NAME_MATCH_MODES.map(mode => (
+            <option key={mode.id} value={mode.id}>{mode.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="e.g. Revision"
+          className="w-40 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          aria-label="Name"
+        />
+        <button
+          type="submit"
+          disabled={matchCount === 0}
+          className="px-3 py-1 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-300 disabled:text-gray-500 transition-colors"
+        >
+          Apply to {matchCount}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default BulkActionsComponent;
@@ -0,0 +1,118 @@
+import React from 'react';
+import { Check, Columns, X } from 'lucide-react';
+import { HIERARCHY_LEVELS, isMappingValid } from '../utils/columnMapping';
+
+// Lets the user confirm which columns form each hierarchy level, once per header template
+const ColumnMappingComponent = ({ groups, onChange, onConfirm, onCancel }) => {
+  const allValid = groups.every(group => isMappingValid(group.mapping, group.headers));
+
+  const updateGroup = (signature, updater) => {
+    onChange(groups.map(group =>
+      group.signature === signature ? { ...group, mapping: updater(group.mapping) } : group
+    ));
+  };
+
+  const handleDepthChange = (signature, depth) => {
+    updateGroup(signature, mapping => ({ ...mapping, depth }));
+  };
+
+  const handleColumnChange = (signature, levelIndex, column) => {
+    updateGroup(signature, mapping => {
+      const columns = [...mapping.columns];
+      columns[levelIndex] = column;
+      return { ...mapping, columns };
+    });
+  };
+
+  return (
+    <div className="mt-6 text-left">
+      <div className="flex items-center mb-2">
+        <Columns className="w-5 h-5 mr-2 text-blue-600" />
+        <h2 className="text-xl font-semibold text-gray-800">Map columns to the content hierarchy</h2>
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Choose which column forms each level. Mappings are remembered for files with the same headers.
+      </p>
+
+      <div className="space-y-4">
+        {groups.map(group => {
+          const { mapping } = group;
+          const valid = isMappingValid(mapping, group.headers);
+
+          return (
+            <div key={group.signature} className="p-4 rounded-lg border border-gray-200 bg-gray-50">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <span className="text-sm font-medium text-gray-700">
+                  Sheets: {group.sheetNames.join(', ')}
+                </span>
+                <label className="flex items-center text-sm text-gray-600">
+                  Levels
+                  <select
+                    value={mapping.depth}
+                    onChange={(e) => handleDepthChange(group.signature, Number(e.target.value))}
+                    className="ml-2 px-2 py-1 border border-gray-300 rounded"
+                  >
+                    {HIERARCHY_LEVELS.map((_, i) => (
+                      <option key={i + 1} value={i + 1}>{i + 1}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {HIERARCHY_LEVELS.slice(0, mapping.depth).map((level, levelIndex) => (
+                  <label key={level.key} className="flex items-center text-sm text-gray-700">
+                    <span className="w-20 font-medium">{level.label}</span>
+                    <select
+                      value={mapping.columns[levelIndex] || ''}
+                      onChange={(e) => handleColumnChange(group.signature, levelIndex, e.target.value)}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded"
+                    >
+                      <option value="">Select a column...</option>
+                      {group.headers.map(header => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+
+              {!valid && (
+                <p className="text-xs text-red-600 mt-2">Each level needs its own column.</p>
+              )}
+              {group.fromSaved && (
+                <p className="text-xs text-gray-500 mt-2">Using the saved mapping for this template.</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="mt-4 flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="flex items-center px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          type="button"
+        >
+          <X className="w-4 h-4 mr-2" />
+          Cancel
+        </button>
+        <button
+          onClick={onConfirm}
+          disabled={!allValid}
+          className={`flex items-center px-4 py-2 rounded-lg font-medium transition-colors ${
+            allValid
+              ? 'bg-blue-600 text-white hover:bg-blue-700'
+              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+          }`}
+          type="button"
+        >
+          <Check className="w-4 h-4 mr-2" />
+          Apply Mapping
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingComponent;
@@ -0,0 +1,119 @@
+import React, { useMemo, useState } from 'react';
+import { FileText } from 'lucide-react';
+import { DELIMITERS, TEXT_ENCODINGS, detectDelimitedOptions, previewDelimited } from '../utils/textSources';
+
+const PREVIEW_ROW_COUNT = 8; // Header plus the first rows
+const PREVIEW_COLUMN_COUNT = 8;
+
+// Check how CSV and other delimited files will be read before loading them: the detected
+// encoding and delimiter can be changed, and the first rows show the result
+const CsvPreviewComponent = ({ files, onConfirm, onCancel }) => {
+  const [options, setOptions] = useState(() => files.map(file => detectDelimitedOptions(file.buffer)));
+  const previews = useMemo(
+    () => files.map((file, index) => previewDelimited(file.buffer, options[index], PREVIEW_ROW_COUNT)),
+    [files, options]
+  );
+
+  const updateOption = (index, key, value) => {
+    setOptions(prev => prev.map((fileOptions, i) => (i === index ? { ...fileOptions, [key]: value } : fileOptions)));
+  };
+
+  return (
+    <div className="mt-6 text-left">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Check the CSV {files.length === 1 ? 'file' : 'files'}</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        The encoding and delimiter were detected from the file contents. Change them if the preview looks wrong.
+      </p>
+
+      {files.map((file, index) => {
+        const [header = [], ...rows] = previews[index];
+        const columnCount = Math.min(header.length, PREVIEW_COLUMN_COUNT);
+        return (
+          <div key={file.name} className="mb-6 p-4 rounded-lg border border-gray-200">
+            <div className="flex flex-wrap items-center gap-x-6 gap-y-2 mb-3 text-sm text-gray-700">
+              <span className="flex items-center font-medium text-gray-800">
+                <FileText className="w-4 h-4 mr-1" />
+                {file.name}
+              </span>
+              <label className="flex items-center gap-2">
+                Encoding
+                <select
+                  value={options[index].encoding}
+                  onChange={(e) => updateOption(index, 'encoding', e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                >
+                  {TEXT_ENCODINGS.map(encoding => (
+                    <option key={encoding.id} value={encoding.id}>{encoding.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center gap-2">
+                Delimiter
+                <select
+                  value={options[index].delimiter}
+                  onChange={(e) => updateOption(index, 'delimiter', e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+                >
+                  {DELIMITERS.map(delimiter => (
+                    <option key={delimiter.id} value={delimiter.id}>{delimiter.label}</option>
+                  ))}
+                </select>
+              </label>
+              {options[index].hasByteOrderMark && (
+                <span className="text-xs text-gray-500">Byte order mark found</span>
+              )}
+            </div>
+
+            <div className="overflow-x-auto">
+              <table className="text-xs text-gray-700 border-collapse">
+                <thead>
+                  <tr>
+                    {header.slice(0, columnCount).map((column, columnIndex) => (
+                      <th key={columnIndex} className="px-2 py-1 text-left font-semibold bg-gray-100 border border-gray-200 whitespace-nowrap">
+                        {column}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, rowIndex) => (
+                    <tr key={rowIndex}>
+                      {Array.from({ length: columnCount }, (_, columnIndex) => (
+                        <td key={columnIndex} className="px-2 py-1 border border-gray-200 whitespace-nowrap max-w-48 truncate">
+                          {row[columnIndex]}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+              {header.length} {header.length === 1 ? 'column' : 'columns'}
+              {header.length > PREVIEW_COLUMN_COUNT && `, the first ${PREVIEW_COLUMN_COUNT} shown`}
+            </p>
+          </div>
+        );
+      })}
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          type="button"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(options.map(({ encoding, delimiter }) => ({ encoding, delimiter })))}
+          className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          type="button"
+        >
+          Continue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CsvPreviewComponent;
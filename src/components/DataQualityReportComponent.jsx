@@ -0,0 +1,62 @@
+import React from 'react';
+import { AlertTriangle, Download, X } from 'lucide-react';
+import { ISSUE_TYPES } from '../utils/dataQuality';
+import ReportList from './ReportList';
+
+// Problems found in the uploaded rows; each entry jumps to its node in the tree
+const DataQualityReportComponent = ({ issues, onReveal, onExport, onClose }) => (
+  <div className="mb-6 p-4 rounded-lg border border-yellow-200 bg-yellow-50">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="flex items-center text-lg font-semibold text-gray-800">
+        <AlertTriangle className="w-5 h-5 mr-2 text-yellow-600" />
+        Data quality: {issues.length} {issues.length === 1 ? 'issue' : 'issues'}
+      </h2>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onExport}
+          className="flex items-center px-3 py-1 text-sm rounded-lg text-yellow-800 hover:bg-yellow-100"
+          type="button"
+        >
+          <Download className="w-4 h-4 mr-1" />
+          Export as sheet
+        </button>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-yellow-100 rounded"
+          type="button"
+          aria-label="Close data quality report"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {ISSUE_TYPES.map(type => (
+        <ReportList
+          key={type.id}
+          title={type.label}
+          items={issues.filter(issue => issue.type === type.id)}
+          emptyText="None found."
+          className="text-yellow-800"
+          getItemKey={(issue, index) => `${issue.nodeId}-${index}`}
+          getItemTitle={issue => `${issue.path.join(' › ')}\n${issue.message}`}
+          renderItem={issue => (
+            <>
+              <button
+                onClick={() => onReveal(issue.nodeId)}
+                className="text-blue-600 hover:text-blue-700 hover:underline"
+                type="button"
+              >
+                {issue.sheetName} row {issue.rowNumber}
+              </button>
+              {' · '}
+              {issue.message}
+            </>
+          )}
+        />
+      ))}
+    </div>
+  </div>
+);
+
+export default DataQualityReportComponent;
@@ -0,0 +1,214 @@
+import React, { useState } from 'react';
+import { AlertTriangle, Download, X } from 'lucide-react';
+import {
+  DEFAULT_SPLIT_NAME_TEMPLATE,
+  EXPORT_FORMATS,
+  SPLIT_LEVELS,
+  formatFileName,
+  getFormatExtension
+} from '../utils/exporters';
+
+// Formats written from row data, where hierarchy cells can be replaced by the merged names
+const CANONICAL_NAME_FORMATS = ['xlsx', 'xlsx-split', 'csv', 'csv-zip', 'json'];
+
+// Choose the export format and file name before downloading. `lastExport` is the previous
+// download when it had the same rows, to point out an export that would be a repeat.
+// `getSplitExample(level)` gives the file name tokens of one split workbook for the preview.
+const ExportDialogComponent = ({
+  initialOptions,
+  sourceName,
+  sourceCount = 1,
+  qualityIssueCount = 0,
+  exportedRowCount,
+  maxDepth = 0,
+  getSplitExample = () => ({}),
+  lastExport = null,
+  onExport,
+  onClose
+}) => {
+  const [format, setFormat] = useState(initialOptions.format);
+  const [fileNameTemplate, setFileNameTemplate] = useState(initialOptions.fileNameTemplate);
+  const [includeQualityReport, setIncludeQualityReport] = useState(Boolean(initialOptions.includeQualityReport));
+  const [canonicalNames, setCanonicalNames] = useState(Boolean(initialOptions.canonicalNames));
+  const [perSource, setPerSource] = useState(Boolean(initialOptions.perSource));
+  const [includeManifest, setIncludeManifest] = useState(Boolean(initialOptions.includeManifest));
+  const splitLevels = SPLIT_LEVELS.filter(({ level }) => level <= maxDepth);
+  const [splitLevel, setSplitLevel] = useState(Math.min(initialOptions.splitLevel ?? 1, splitLevels.length - 1));
+  const [splitNameTemplate, setSplitNameTemplate] = useState(initialOptions.splitNameTemplate || DEFAULT_SPLIT_NAME_TEMPLATE);
+
+  const selectedFormat = EXPORT_FORMATS.find(option => option.id === format) || EXPORT_FORMATS[0];
+  // Several files come back zipped when exported one per file
+  const zipped = sourceCount > 1 && (format === 'original' || (format === 'xlsx' && perSource));
+  const options = { format, fileNameTemplate, includeQualityReport, includeManifest, canonicalNames, perSource, splitLevel, splitNameTemplate };
+  const repeatsLastExport = lastExport && JSON.stringify(options) === JSON.stringify(lastExport.options);
+  const previewName = formatFileName(fileNameTemplate, { sourceName }, zipped ? 'zip' : getFormatExtension(selectedFormat, sourceName));
+  const splitTokens = ['group', ...splitLevels.slice(0, splitLevel + 1).map(({ key }) => key), 'name', 'date'];
+  const splitPreviewName = formatFileName(splitNameTemplate, { sourceName, values: getSplitExample(splitLevel) }, 'xlsx');
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40" role="dialog" aria-modal="true" aria-labelledby="export-dialog-title">
+      <div className="w-full max-w-lg bg-white rounded-lg shadow-xl p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="export-dialog-title" className="text-xl font-semibold text-gray-800">Export filtered content</h2>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+            type="button"
+            aria-label="Close export dialog"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <fieldset className="space-y-2 mb-4">
+          <legend className="text-sm font-medium text-gray-700 mb-2">Format</legend>
+          {EXPORT_FORMATS.map(option => (
+            <label key={option.id} className="flex items-start p-2 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer">
+              <input
+                type="radio"
+                name="export-format"
+                value={option.id}
+                checked={format === option.id}
+                onChange={() => setFormat(option.id)}
+                className="mt-1 text-blue-600 focus:ring-blue-500"
+              />
+              <span className="ml-3">
+                <span className="block text-sm font-medium text-gray-800">{option.label}</span>
+                <span className="block text-xs text-gray-500">{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        {CANONICAL_NAME_FORMATS.includes(format) && (
+          <label className="flex items-center mb-4 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={canonicalNames}
+              onChange={(e) => setCanonicalNames(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            <span className="ml-2">Write merged names into the hierarchy columns</span>
+          </label>
+        )}
+
+        {format === 'xlsx-split' && (
+          <div className="mb-4 p-3 rounded-lg border border-gray-200 bg-gray-50 text-sm text-gray-700">
+            <label className="flex items-center gap-2 mb-3">
+              <span className="font-medium">One workbook per</span>
+              <select
+                value={splitLevel}
+                onChange={(e) => setSplitLevel(Number(e.target.value))}
+                className="px-2 py-1 border border-gray-300 rounded-lg bg-white"
+              >
+                {splitLevels.map(({ level, label }) => (
+                  <option key={level} value={level}>{label.toLowerCase()}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block mb-1 font-medium" htmlFor="export-split-name">
+              Workbook names
+            </label>
+            <input
+              id="export-split-name"
+              type="text"
+              value={splitNameTemplate}
+              onChange={(e) => setSplitNameTemplate(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Use {splitTokens.map(token => `{${token}}`).join(', ')}. An index.xlsx lists what went into each workbook.
+            </p>
+            <p className="text-xs text-gray-700 mt-1 truncate" title={splitPreviewName}>
+              For example: <span className="font-mono">{splitPreviewName}</span>
+            </p>
+          </div>
+        )}
+
+        {format === 'xlsx' && sourceCount > 1 && (
+          <label className="flex items-center mb-4 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={perSource}
+              onChange={(e) => setPerSource(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            <span className="ml-2">One workbook per uploaded file ({sourceCount} files, as a ZIP)</span>
+          </label>
+        )}
+
+        {format === 'xlsx' && qualityIssueCount > 0 && !(perSource && sourceCount > 1) && (
+          <label className="flex items-center mb-4 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeQualityReport}
+              onChange={(e) => setIncludeQualityReport(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            <span className="ml-2">Add the data quality report as a sheet ({qualityIssueCount} issues)</span>
+          </label>
+        )}
+
+        {format === 'xlsx' && !(perSource && sourceCount > 1) && (
+          <label className="flex items-center mb-4 text-sm text-gray-700 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeManifest}
+              onChange={(e) => setIncludeManifest(e.target.checked)}
+              className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+            />
+            <span className="ml-2">Add a manifest sheet with the export summary</span>
+          </label>
+        )}
+
+        <label className="block mb-1 text-sm font-medium text-gray-700" htmlFor="export-file-name">
+          File name
+        </label>
+        <input
+          id="export-file-name"
+          type="text"
+          value={fileNameTemplate}
+          onChange={(e) => setFileNameTemplate(e.target.value)}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          Use {'{name}'} for the uploaded file name, {'{date}'} and {'{time}'} for when you export.
+        </p>
+        <p className="text-xs text-gray-700 mt-1 truncate" title={previewName}>
+          Preview: <span className="font-mono">{previewName}</span>
+        </p>
+
+        {exportedRowCount === 0 ? (
+          <p className="flex items-start mt-4 p-3 rounded-lg bg-yellow-50 border border-yellow-200 text-sm text-yellow-800" role="alert">
+            <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+            Nothing is selected, so the export will have no content rows.
+          </p>
+        ) : repeatsLastExport && (
+          <p className="mt-4 text-sm text-gray-600">
+            Same rows and options as your export at {lastExport.exportedAt.toLocaleTimeString()}.
+          </p>
+        )}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onExport(options)}
+            className="flex items-center px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+            type="button"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {exportedRowCount === 0 ? 'Export anyway' : 'Export'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialogComponent;
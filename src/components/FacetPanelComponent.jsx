@@ -0,0 +1,54 @@
+import React from 'react';
+import { Filter } from 'lucide-react';
+
+// Checkbox facets for low-cardinality columns; counts reflect the current selection
+const FacetPanelComponent = ({ facets, facetCounts, facetFilters, onToggle, onClear }) => {
+  const hasActiveFilters = Object.values(facetFilters).some(values => values.length > 0);
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 max-h-[800px] overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center text-sm font-semibold text-gray-800">
+          <Filter className="w-4 h-4 mr-2" />
+          Filters
+        </h2>
+        {hasActiveFilters && (
+          <button onClick={onClear} className="text-xs text-blue-600 hover:text-blue-700" type="button">
+            Clear all
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {facets.map(({ column, values }) => {
+          const selectedValues = facetFilters[column] || [];
+          return (
+            <fieldset key={column}>
+              <legend className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-1">{column}</legend>
+              <div className="space-y-1">
+                {values.map(({ value, total }) => (
+                  <label key={value} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={selectedValues.includes(value)}
+                      onChange={() => onToggle(column, value)}
+                      className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500 cursor-pointer"
+                    />
+                    <span className="ml-2 flex-1 truncate" title={value || '(blank)'}>
+                      {value || <span className="italic text-gray-400">(blank)</span>}
+                    </span>
+                    <span className="ml-2 text-xs text-gray-500">
+                      {facetCounts[column]?.[value] || 0} / {total}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default FacetPanelComponent;
@@ -1,256 +1,595 @@
-import React, { useState, useMemo, useCallback, useRef } from 'react';
-import { ChevronDown, ChevronRight, Download, FileText, Loader2, Upload, Search, X } from 'lucide-react';
-import * as XLSX from 'xlsx';
+import React, { useState, useMemo, useCallback, useRef, useEffect, useDeferredValue } from 'react';
+import { AlertTriangle, Check, CheckSquare, ChevronDown, ChevronRight, Download, FileText, FolderOpen, GitCompare, ListChecks, Loader2, Minus, Pencil, Save, SpellCheck, Square, Upload, Search, X } from 'lucide-react';
 import iPrepLogo from '../assets/iPrep-logo.svg';
+import ColumnMappingComponent from './ColumnMappingComponent';
+import VirtualList from './VirtualList';
+import PresetReportComponent from './PresetReportComponent';
+import DataQualityReportComponent from './DataQualityReportComponent';
+import NormalizationRulesComponent from './NormalizationRulesComponent';
+import WorkbookDiffComponent from './WorkbookDiffComponent';
+import SheetCollisionComponent from './SheetCollisionComponent';
+import CsvPreviewComponent from './CsvPreviewComponent';
+import SelectionHistoryComponent from './SelectionHistoryComponent';
+import SessionListComponent from './SessionListComponent';
+import SelectionSummaryComponent from './SelectionSummaryComponent';
+import BulkActionsComponent from './BulkActionsComponent';
+import PendingEditsComponent from './PendingEditsComponent';
+import InlineEditComponent from './InlineEditComponent';
+import HighlightedText from './HighlightedText';
+import FacetPanelComponent from './FacetPanelComponent';
+import ExportDialogComponent from './ExportDialogComponent';
+import {
+  HIERARCHY_LEVELS,
+  detectMappingGroups,
+  getSheetMappings,
+  saveMapping
+} from '../utils/columnMapping';
+import { getNodePath, getSheetNode } from '../utils/contentTree';
+import { createInitialSelection, isSameSelection, setNodeChecked, setNodesChecked } from '../utils/selection';
+import {
+  SearchSyntaxError,
+  findHighlightRanges,
+  getHighlightTerms,
+  parseSearchQuery,
+  searchRows
+} from '../utils/search';
+import { applyPreset, createPreset, parsePreset } from '../utils/presets';
+import { computeExportCounts, detectFacets, getActiveFacetFilters, isSameFacetFilters, rowMatchesFacets } from '../utils/facets';
+import { downloadBlob, sanitizeFileName } from '../utils/download';
+import { FidelityExportError } from '../utils/fidelityExport';
+import { getQualityReportRows, validateContent } from '../utils/dataQuality';
+import { loadNormalizationRules, rebuildContentTree, saveNormalizationRules } from '../utils/normalization';
+import { FULL_ROW_KEY, diffWorkbooks, getKeyColumnCandidates } from '../utils/workbookDiff';
+import { getSheetCollisions, resolveSheetSources } from '../utils/workbookMerge';
+import { carryHistory, createHistory, describeNode, getCurrentSelection, jumpToHistory, pushHistory } from '../utils/selectionHistory';
+import {
+  createSessionId,
+  deleteSession,
+  getUniqueSessionName,
+  isSessionStoreAvailable,
+  listSessions,
+  loadSession,
+  saveSessionData,
+  saveSessionState
+} from '../utils/sessionStore';
+import { summarizeSelection } from '../utils/selectionSummary';
+import { carryExpandedNodes, findNodesAtLevel, getExpandedToDepth, getMaxHierarchyDepth, getSiblingRange, NAME_MATCH_MODES } from '../utils/treeActions';
+import {
+  applyEdit,
+  canMoveNode,
+  createCellEdit,
+  createMoveEdit,
+  createRenameEdit,
+  editsHierarchy,
+  getCellOrigin,
+  getEditedCellOrigins,
+  getNextEditId,
+  isCellEdited,
+  revertEdit
+} from '../utils/contentEdits';
+import {
+  createExport,
+  formatFileName,
+  getSplitValues,
+  loadExportOptions,
+  saveExportOptions
+} from '../utils/exporters';
+import { exportContent, getFilteredData } from '../core/contentCore';
+import { isDelimitedTextFile } from '../utils/textSources';
+
+// Per-level styling for the tree, indexed by hierarchy level
+const LEVEL_STYLES = [
+  'bg-gray-100 border-gray-200',
+  'bg-green-50 border-green-200',
+  'bg-yellow-50 border-yellow-200',
+  'bg-purple-50 border-purple-200'
+];
+
+// Source files the upload accepts: workbooks, OpenDocument spreadsheets, delimited text and JSON
+const SOURCE_FILE_ACCEPT = '.xlsx,.xls,.ods,.csv,.tsv,.txt,.json';
+const SOURCE_FILE_PATTERN = /\.(xlsx|xls|ods|csv|tsv|txt|json)$/i;
+
+// Fixed row geometry for the virtualized tree
+const TREE_ITEM_HEIGHT = 48;
+const TREE_MAX_HEIGHT = 750;
+const TREE_INDENT = 16;
+const TYPE_AHEAD_RESET = 500; // ms without typing before type-ahead starts a new search
+
+// Tree items are found through aria-activedescendant, so each needs a DOM id
+const getTreeItemDomId = (nodeId) => `tree-item-${nodeId}`;
+const TREE_DOM_ID = 'content-tree';
+
+// Next tree item from `index` in direction `step`, skipping the row column headers; -1 if none
+const findTreeItem = (items, index, step) => {
+  for (let i = index; i >= 0 && i < items.length; i += step) {
+    if (items[i].type !== 'rowHeader') return i;
+  }
+  return -1;
+};
+
+// Markers for content compared with a previous version
+const DIFF_BADGES = {
+  added: { label: 'New', className: 'bg-green-100 text-green-800', rowClassName: 'border-l-4 border-l-green-500' },
+  modified: { label: 'Modified', className: 'bg-amber-100 text-amber-800', rowClassName: 'border-l-4 border-l-amber-500' },
+  changed: { label: 'Changed', className: 'bg-purple-100 text-purple-800' }
+};
+const ROW_CELL_WIDTH = 160;
+const SESSION_SAVE_DELAY = 500; // ms after the last selection or expand change
 
 const FilterContentComponent = () => {
-  const [data, setData] = useState({});
+  const [tree, setTree] = useState({ nodes: {}, rootIds: [] }); // Node model built by the worker
   const [loading, setLoading] = useState(false);
-  const [selection, setSelection] = useState({});
+  const [selectionHistory, setSelectionHistory] = useState(() => createHistory({}, 'No file loaded')); // Undo stack of selections
   const [expandedNodes, setExpandedNodes] = useState({});
-  const [hasChanges, setHasChanges] = useState(false);
+  const [lastExport, setLastExport] = useState(null); // { tree, originalRowData, selection, facetFilters, options, exportedAt } of the last download
   const [downloadProgress, setDownloadProgress] = useState(false);
   const [fileUploaded, setFileUploaded] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [processingProgress, setProcessingProgress] = useState(0);
   const [loadingStage, setLoadingStage] = useState('');
   const [originalRowData, setOriginalRowData] = useState({}); //state variable to store original row order
+  const [mappingGroups, setMappingGroups] = useState(null); // Header templates awaiting column mapping
+  const [presetReport, setPresetReport] = useState(null); // Outcome of the last preset import
+  const [facetFilters, setFacetFilters] = useState({}); // Column -> values to keep
+  const [sourceFileName, setSourceFileName] = useState(''); // Uploaded file name, for export file names
+  const [exportDialogOpen, setExportDialogOpen] = useState(false);
+  const [qualityIssues, setQualityIssues] = useState([]); // Found by the data quality check after upload
+  const [showQualityReport, setShowQualityReport] = useState(false);
+  const [highlightedNodeId, setHighlightedNodeId] = useState(null); // Last node revealed from a report
+  const [pendingScrollNodeId, setPendingScrollNodeId] = useState(null);
+  const [normalizationRules, setNormalizationRules] = useState(loadNormalizationRules); // How hierarchy names are merged
+  const [rulesDialogOpen, setRulesDialogOpen] = useState(false);
+  const [comparison, setComparison] = useState(null); // Previous version: { fileName, tree, originalRowData, keyColumn }
+  const [comparing, setComparing] = useState(false);
+  const [sourceFiles, setSourceFiles] = useState([]); // Names of the uploaded files, in upload order
+  const [pendingSheets, setPendingSheets] = useState(null); // Parsed sheets waiting for a sheet name collision choice
+  const [pendingCsvFiles, setPendingCsvFiles] = useState(null); // Read files waiting for the CSV preview
+  const [dragActive, setDragActive] = useState(false);
+  const [session, setSession] = useState(null); // { id, name } of the session being autosaved
+  const [savedSessions, setSavedSessions] = useState([]); // Offered for resuming on the upload screen
+  const [showSummary, setShowSummary] = useState(false);
+  const [activeNodeId, setActiveNodeId] = useState(null); // Tree item with the keyboard focus
+  const [treeFocused, setTreeFocused] = useState(false);
+  const [edits, setEdits] = useState([]); // Renames and cell edits, oldest first
+  const [showEdits, setShowEdits] = useState(false);
+  const [editingNodeId, setEditingNodeId] = useState(null); // Node being renamed in place
+  const [editingCell, setEditingCell] = useState(null); // { rowId, column } being edited in place
+  const [draggedNodeId, setDraggedNodeId] = useState(null); // Chapter, topic... being moved
+  const [dropTargetId, setDropTargetId] = useState(null); // New parent it's over
   
   const abortControllerRef = useRef(null);
+  const workerRef = useRef(null); // Parses the workbook and builds the tree off the main thread
+  const originalFilesRef = useRef([]); // [{ name, buffer, textOptions }] of the uploaded files
+  const sheetSourcesRef = useRef({}); // Sheet name -> file sheets it is read from, between parsing and building
+  const savedRowDataRef = useRef(null); // Rows last written to the session store
+  const typeAheadRef = useRef({ text: '', timer: null });
+  const selectionAnchorRef = useRef(null); // Last node checked or unchecked, where a shift-click range starts
 
-  // Optimized data processing with progress tracking, deduplication, and empty cell preservation
-  const processExcelData = useCallback(async (workbook) => {
-    const processedData = {};
-    const originalData = {}; // Store original row sequence
-    const initialSelection = {};
-    const initialExpanded = {};
-    const totalSheets = workbook.SheetNames.length;
-    
-    // Track unique combinations to prevent duplicates
-    const uniqueTracker = new Set();
-    
-    for (let sheetIndex = 0; sheetIndex < totalSheets; sheetIndex++) {
-      const sheetName = workbook.SheetNames[sheetIndex];
-      setLoadingStage(`Processing sheet: ${sheetName}`);
-      setProcessingProgress(((sheetIndex + 1) / totalSheets) * 100);
-      
-      const worksheet = workbook.Sheets[sheetName];
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, {
-        defval: '', // Use empty string as default value for empty cells
-        raw: false, // Keep original formatting
-        dateNF: 'yyyy-mm-dd' // Standard date format
-      });
-      
-      if (jsonData.length > 0) {
-        processedData[sheetName] = new Map();
-        originalData[sheetName] = []; // Store original order here
-        initialSelection[sheetName] = { checked: true, indeterminate: false };
-        initialExpanded[sheetName] = false; // Start collapsed for performance
-        
-        // Process data in chunks to avoid blocking
-        const chunkSize = 100;
-        for (let i = 0; i < jsonData.length; i += chunkSize) {
-          const chunk = jsonData.slice(i, i + chunkSize);
-          
-          // Process chunk
-          chunk.forEach((row, index) => {
-            // Preserve all original data including empty cells
-            const originalRow = { ...row };
-            
-            // Handle hierarchical organization fields - use placeholders for empty values
-            const className = row.class !== undefined && row.class !== null && String(row.class).trim() 
-              ? String(row.class).trim() 
-              : `Unknown Class ${i + index + 1}`;
-            
-            const subjectName = row.subject_name !== undefined && row.subject_name !== null && String(row.subject_name).trim()
-              ? String(row.subject_name).trim()
-              : `Unknown Subject ${i + index + 1}`;
-            
-            const chapterName = row.chapter_name !== undefined && row.chapter_name !== null && String(row.chapter_name).trim()
-              ? String(row.chapter_name).trim()
-              : `Unknown Chapter ${i + index + 1}`;
-            
-            const topicName = row.topic_name !== undefined && row.topic_name !== null && String(row.topic_name).trim()
-              ? String(row.topic_name).trim()
-              : `Unknown Topic ${i + index + 1}`;
-            
-            // Create unique identifier for this combination
-            const uniqueId = `${sheetName}|${className}|${subjectName}|${chapterName}|${topicName}|${i + index}`;
-            
-            const classKey = `${sheetName}-${className}`;
-            const subjectKey = `${classKey}-${subjectName}`;
-            const chapterKey = `${subjectKey}-${chapterName}`;
-            const topicKey = `${chapterKey}-${topicName}`;
-
-            // Add to original data array to preserve order
-            if (!uniqueTracker.has(uniqueId)) {
-              uniqueTracker.add(uniqueId);
-              const rowWithKeys = {
-                ...originalRow,
-                _topicKey: topicKey // Add selection key for filtering
-              };
-              originalData[sheetName].push(rowWithKeys);
-            }
-
-            // Initialize nested structure with Maps for UI hierarchy
-            if (!processedData[sheetName].has(className)) {
-              processedData[sheetName].set(className, new Map());
-              initialSelection[classKey] = { checked: true, indeterminate: false };
-              initialExpanded[classKey] = false;
-            }
-
-            const classData = processedData[sheetName].get(className);
-            if (!classData.has(subjectName)) {
-              classData.set(subjectName, new Map());
-              initialSelection[subjectKey] = { checked: true, indeterminate: false };
-              initialExpanded[subjectKey] = false;
-            }
-
-            const subjectData = classData.get(subjectName);
-            if (!subjectData.has(chapterName)) {
-              subjectData.set(chapterName, new Map());
-              initialSelection[chapterKey] = { checked: true, indeterminate: false };
-              initialExpanded[chapterKey] = false;
-            }
-
-            const chapterData = subjectData.get(chapterName);
-            if (!chapterData.has(topicName)) {
-              chapterData.set(topicName, []);
-              initialSelection[topicKey] = { checked: true, indeterminate: false };
-            }
-
-            // Store in hierarchy for UI
-            if (!uniqueTracker.has(uniqueId + '_ui')) {
-              uniqueTracker.add(uniqueId + '_ui');
-              chapterData.get(topicName).push(originalRow);
-            }
-          });
-          
-          // Allow UI to update between chunks
-          if (i % (chunkSize * 5) === 0) {
-            await new Promise(resolve => setTimeout(resolve, 0));
-          }
-        }
-      }
-    }
-    
-    return { processedData, originalData, initialSelection, initialExpanded };
+  const terminateWorker = useCallback(() => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
   }, []);
 
-  // Handle file upload with progress
-  const handleFileUpload = useCallback(async (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  useEffect(() => terminateWorker, [terminateWorker]);
 
-    setLoading(true);
-    setProcessingProgress(0);
-    setLoadingStage('Reading file...');
-    
-    abortControllerRef.current = new AbortController();
-    
-    const reader = new FileReader();
+  const selection = getCurrentSelection(selectionHistory);
 
-    reader.onload = async (e) => {
-      try {
-        const data = e.target.result;
-        setLoadingStage('Parsing Excel file...');
-        
-        const workbook = XLSX.read(data, {
-          type: 'binary',
-          cellStyles: false, // Disable for performance
-          cellFormulas: false,
-          cellDates: true,
-          cellNF: false,
-          sheetStubs: true, // Include empty cells
-          defval: '', // Default value for empty cells
-          raw: false // Keep original formatting
-        });
+  // Record a selection change under a readable label; `update` may be a function of the current selection
+  const changeSelection = useCallback((update, label) => {
+    setSelectionHistory(prev => pushHistory(prev, typeof update === 'function' ? update(getCurrentSelection(prev)) : update, label));
+  }, []);
 
-        const { processedData, originalData, initialSelection, initialExpanded } = await processExcelData(workbook);
-        
-        setData(processedData);
-        setOriginalRowData(originalData); // Store original order
-        setSelection(initialSelection);
-        setExpandedNodes(initialExpanded);
-        setFileUploaded(true);
-        setLoading(false);
-        setProcessingProgress(100);
-        setLoadingStage('Complete!');
-      } catch (error) {
-        console.error('Error processing file:', error);
-        setLoading(false);
-        alert('Error processing file. Please make sure it\'s a valid Excel file.');
+  // Move through the history; every entry stays so it can be redone until a new change is made
+  const jumpSelection = useCallback((getIndex) => {
+    setSelectionHistory(prev => jumpToHistory(prev, getIndex(prev)));
+  }, []);
+
+  const undoSelection = useCallback(() => jumpSelection(history => history.index - 1), [jumpSelection]);
+  const redoSelection = useCallback(() => jumpSelection(history => history.index + 1), [jumpSelection]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y too), except while typing in a field
+  useEffect(() => {
+    if (!fileUploaded) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (event.target.closest?.('input:not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable="true"]')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoSelection();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoSelection();
       }
     };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [fileUploaded, undoSelection, redoSelection]);
 
-    reader.readAsBinaryString(file);
-  }, [processExcelData]);
+  // Send one request to the workbook worker, forwarding its progress; aborting terminates the worker
+  const runWorkerTask = useCallback((message, transfer = []) => {
+    if (!workerRef.current) {
+      workerRef.current = new Worker(new URL('../workers/workbookWorker.js', import.meta.url), { type: 'module' });
+    }
+    const worker = workerRef.current;
+    const signal = abortControllerRef.current?.signal;
 
-  // Optimized selection update with debouncing
-  const updateSelection = useCallback((nodeKey, checked) => {
-    setSelection(prev => {
-      const newSelection = { ...prev };
-      newSelection[nodeKey] = { checked, indeterminate: false };
-      
-      // Update children efficiently
-      const updateChildren = (key, state) => {
-        const keyPrefix = key + '-';
-        Object.keys(newSelection).forEach(selKey => {
-          if (selKey.startsWith(keyPrefix) && selKey !== key) {
-            newSelection[selKey] = { checked: state, indeterminate: false };
-          }
-        });
+    return new Promise((resolve, reject) => {
+      const handleAbort = () => {
+        terminateWorker();
+        reject(new DOMException('Processing cancelled', 'AbortError'));
       };
-      
-      updateChildren(nodeKey, checked);
-      
-      // Update parent states
-      const updateParent = (key) => {
-        const parts = key.split('-');
-        if (parts.length > 1) {
-          const parentKey = parts.slice(0, -1).join('-');
-          const siblings = Object.keys(newSelection).filter(k => 
-            k.startsWith(parentKey + '-') && k.split('-').length === parts.length
-          );
-          
-          const checkedSiblings = siblings.filter(k => newSelection[k]?.checked);
-          const indeterminateSiblings = siblings.filter(k => newSelection[k]?.indeterminate);
-          
-          if (checkedSiblings.length === siblings.length) {
-            newSelection[parentKey] = { checked: true, indeterminate: false };
-          } else if (checkedSiblings.length > 0 || indeterminateSiblings.length > 0) {
-            newSelection[parentKey] = { checked: false, indeterminate: true };
-          } else {
-            newSelection[parentKey] = { checked: false, indeterminate: false };
-          }
-          
-          updateParent(parentKey);
+      if (signal?.aborted) {
+        handleAbort();
+        return;
+      }
+      signal?.addEventListener('abort', handleAbort, { once: true });
+
+      worker.onmessage = (event) => {
+        const response = event.data;
+        if (response.type === 'progress') {
+          setLoadingStage(response.stage);
+          setProcessingProgress(response.progress);
+          return;
         }
+        signal?.removeEventListener('abort', handleAbort);
+        if (response.type === 'error') {
+          reject(new Error(response.message));
+        } else {
+          resolve(response);
+        }
+      };
+      worker.onerror = (event) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(new Error(event.message));
       };
+      worker.postMessage(message, transfer);
+    });
+  }, [terminateWorker]);
+
+  // Build the tree once every sheet template has a confirmed column mapping
+  const applyColumnMappings = useCallback(async (groups) => {
+    setLoading(true);
+    setProcessingProgress(0);
+    setLoadingStage('Building content tree...');
+    try {
+      const { tree, originalData, qualityIssues } =
+        await runWorkerTask({
+          type: 'build',
+          sheetMappings: getSheetMappings(groups),
+          sheetSources: sheetSourcesRef.current,
+          normalizationRules
+        });
       
-      updateParent(nodeKey);
+      setTree(tree);
+      setOriginalRowData(originalData); // Store original order
+      setSelectionHistory(createHistory(createInitialSelection(tree), 'Loaded file with everything selected'));
+      setExpandedNodes({}); // Start collapsed for performance
+      setQualityIssues(qualityIssues);
+      setShowQualityReport(qualityIssues.length > 0);
+      setHighlightedNodeId(null);
+      setEdits([]);
+      setSession({
+        id: createSessionId(),
+        name: getUniqueSessionName(savedSessions, originalFilesRef.current.map(file => file.name).join(', '))
+      });
+      setFileUploaded(true);
+      setProcessingProgress(100);
+      setLoadingStage('Complete!');
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error processing file:', error);
+      alert('Error processing file. Please check the column mapping and try again.');
+    } finally {
+      terminateWorker(); // The worker's copy of the workbook is no longer needed
+      setLoading(false);
+    }
+  }, [runWorkerTask, terminateWorker, normalizationRules, savedSessions]);
+
+  // Once every file's sheets are known: resolve their names, then map columns and build
+  const mapSheets = useCallback(async (sheetHeaders, collisionMode) => {
+    const { sheets, sheetSources } = resolveSheetSources(sheetHeaders, collisionMode);
+    sheetSourcesRef.current = sheetSources;
+
+    const groups = detectMappingGroups(sheets);
+    if (groups.length === 0) {
+      throw new Error('No sheet has a header row');
+    }
+
+    // Templates seen before map themselves; anything new goes through the mapping step
+    if (groups.every(group => group.fromSaved)) {
+      await applyColumnMappings(groups);
+    } else {
+      setMappingGroups(groups);
+      setLoading(false);
+    }
+  }, [applyColumnMappings]);
+
+  const handleUploadError = useCallback((error) => {
+    if (error.name === 'AbortError') return;
+    console.error('Error processing file:', error);
+    terminateWorker();
+    setLoading(false);
+    alert('Error processing file. Please make sure it\'s a valid Excel, ODS, CSV or JSON file.');
+  }, [terminateWorker]);
+
+  // Parse read files ({ name, buffer, textOptions }) in the worker, then map their columns
+  const parseFiles = useCallback(async (files) => {
+    setLoading(true);
+    setLoadingStage(files.length === 1 ? 'Parsing file...' : `Parsing ${files.length} files...`);
+    abortControllerRef.current = new AbortController();
+
+    try {
+      // Kept for the original layout export
+      originalFilesRef.current = files.map(file => ({ ...file, buffer: file.buffer.slice(0) }));
       
-      return newSelection;
-    });
-    
-    setHasChanges(true);
+      // The buffers are transferred, not copied, to the worker
+      const { sheetHeaders } = await runWorkerTask({ type: 'parse', files }, files.map(file => file.buffer));
+
+      // The same sheet name in several files: ask whether to keep them apart or combine them
+      if (getSheetCollisions(sheetHeaders).length > 0) {
+        setPendingSheets(sheetHeaders);
+        setLoading(false);
+        return;
+      }
+      await mapSheets(sheetHeaders);
+    } catch (error) {
+      handleUploadError(error);
+    }
+  }, [runWorkerTask, mapSheets, handleUploadError]);
+
+  // Load one or more workbooks, CSV or JSON files into a single tree, with progress. CSV
+  // files are previewed first so their encoding and delimiter can be checked.
+  const loadFiles = useCallback(async (files) => {
+    if (files.length === 0) return;
+
+    setLoading(true);
+    setProcessingProgress(0);
+    setLoadingStage(files.length === 1 ? 'Reading file...' : `Reading ${files.length} files...`);
+    setSourceFileName(files[0].name);
+    setSourceFiles(files.map(file => file.name));
+
+    try {
+      const buffers = await Promise.all(files.map(file => file.arrayBuffer()));
+      const readFiles = files.map((file, index) => ({ name: file.name, buffer: buffers[index] }));
+      if (readFiles.some(file => isDelimitedTextFile(file.name))) {
+        setPendingCsvFiles(readFiles);
+        setLoading(false);
+        return;
+      }
+      await parseFiles(readFiles);
+    } catch (error) {
+      handleUploadError(error);
+    }
+  }, [parseFiles, handleUploadError]);
+
+  // Delimited files get the options chosen in the preview, in order
+  const confirmCsvPreview = useCallback((csvOptions) => {
+    const files = pendingCsvFiles;
+    setPendingCsvFiles(null);
+    let csvIndex = 0;
+    parseFiles(files.map(file => (isDelimitedTextFile(file.name) ? { ...file, textOptions: csvOptions[csvIndex++] } : file)));
+  }, [pendingCsvFiles, parseFiles]);
+
+  const handleFileUpload = useCallback((event) => {
+    const files = Array.from(event.target.files);
+    event.target.value = ''; // Allow picking the same files again after cancelling the mapping step
+    loadFiles(files);
+  }, [loadFiles]);
+
+  const handleDrop = useCallback((event) => {
+    event.preventDefault();
+    setDragActive(false);
+    loadFiles(Array.from(event.dataTransfer.files).filter(file => SOURCE_FILE_PATTERN.test(file.name)));
+  }, [loadFiles]);
+
+  const confirmSheetCollisions = useCallback(async (collisionMode) => {
+    const sheetHeaders = pendingSheets;
+    setPendingSheets(null);
+    setLoading(true);
+    try {
+      await mapSheets(sheetHeaders, collisionMode);
+    } catch (error) {
+      handleUploadError(error);
+    }
+  }, [pendingSheets, mapSheets, handleUploadError]);
+
+  const cancelSheetCollisions = useCallback(() => {
+    terminateWorker();
+    setPendingSheets(null);
+  }, [terminateWorker]);
+
+  // Stop parsing or tree building in progress
+  const cancelProcessing = useCallback(() => {
+    abortControllerRef.current?.abort();
+    setLoading(false);
+    setProcessingProgress(0);
+    setLoadingStage('');
+  }, []);
+
+  // Saved sessions to offer on the upload screen
+  const refreshSavedSessions = useCallback(() => {
+    if (!isSessionStoreAvailable()) return;
+    listSessions()
+      .then(setSavedSessions)
+      .catch(error => console.error('Error listing saved sessions:', error));
   }, []);
 
+  useEffect(() => {
+    if (!fileUploaded) refreshSavedSessions();
+  }, [fileUploaded, refreshSavedSessions]);
+
+  // Autosave: the parsed workbook whenever the tree is rebuilt or rows are edited...
+  useEffect(() => {
+    if (!session || savedRowDataRef.current === originalRowData) return;
+    savedRowDataRef.current = originalRowData;
+    saveSessionData(session.id, { tree, originalRowData, originalFiles: originalFilesRef.current, sourceFiles, qualityIssues })
+      .catch(error => console.error('Error saving session:', error));
+  }, [session, tree, originalRowData, sourceFiles, qualityIssues]);
+
+  // ...and the selection, expanded nodes and edit list shortly after they last changed
+  useEffect(() => {
+    if (!session) return undefined;
+    const timer = setTimeout(() => {
+      const fileName = sourceFiles.join(', ');
+      saveSessionState({ id: session.id, name: session.name.trim() || fileName, fileName, selection, expandedNodes, edits })
+        .catch(error => console.error('Error saving session:', error));
+    }, SESSION_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [session, sourceFiles, selection, expandedNodes, edits]);
+
+  // Pick up a saved session where it was left, without parsing the workbook again
+  const resumeSession = useCallback(async (id) => {
+    try {
+      const saved = await loadSession(id);
+      if (!saved) {
+        alert('This session is no longer available.');
+        refreshSavedSessions();
+        return;
+      }
+
+      originalFilesRef.current = saved.originalFiles;
+      savedRowDataRef.current = saved.originalRowData;
+      setTree(saved.tree);
+      setOriginalRowData(saved.originalRowData);
+      setSelectionHistory(createHistory(saved.selection, `Resumed session "${saved.name}"`));
+      setExpandedNodes(saved.expandedNodes);
+      setQualityIssues(saved.qualityIssues);
+      setShowQualityReport(false);
+      setHighlightedNodeId(null);
+      setEdits(saved.edits || []);
+      setSourceFiles(saved.sourceFiles);
+      setSourceFileName(saved.sourceFiles[0]);
+      setSession({ id: saved.id, name: saved.name });
+      setFileUploaded(true);
+    } catch (error) {
+      console.error('Error resuming session:', error);
+      alert('Error resuming session. Please upload the file again.');
+    }
+  }, [refreshSavedSessions]);
+
+  const removeSavedSession = useCallback(async (id) => {
+    const saved = savedSessions.find(entry => entry.id === id);
+    if (!window.confirm(`Delete the saved session "${saved?.name}"?`)) return;
+    try {
+      await deleteSession(id);
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      alert('Error deleting session.');
+    }
+    refreshSavedSessions();
+  }, [savedSessions, refreshSavedSessions]);
+
+  const confirmColumnMapping = useCallback(() => {
+    mappingGroups.forEach(group => saveMapping(group.signature, group.mapping));
+    setMappingGroups(null);
+    applyColumnMappings(mappingGroups);
+  }, [mappingGroups, applyColumnMappings]);
+
+  const cancelColumnMapping = useCallback(() => {
+    terminateWorker();
+    setMappingGroups(null);
+  }, [terminateWorker]);
+
+  // Check or uncheck a node's subtree and refresh its ancestors through explicit parent/child links
+  const updateSelection = useCallback((nodeId, checked) => {
+    selectionAnchorRef.current = nodeId;
+    changeSelection(prev => setNodeChecked(tree, prev, nodeId, checked), `${checked ? 'Checked' : 'Unchecked'} ${describeNode(tree, nodeId)}`);
+  }, [tree, changeSelection]);
+
+  // Swap in a tree rebuilt from the same rows. Node ids change, so every selection in the
+  // undo history is carried over row by row, as are the expanded branches.
+  const replaceTree = useCallback((rebuiltTree, originalData) => {
+    setTree(rebuiltTree);
+    setOriginalRowData(originalData);
+    setSelectionHistory(prev => carryHistory(prev, tree, rebuiltTree));
+    setExpandedNodes(carryExpandedNodes(tree, expandedNodes, rebuiltTree));
+    setQualityIssues(validateContent(rebuiltTree, originalData));
+    setHighlightedNodeId(null);
+  }, [tree, expandedNodes]);
+
+  // Save new name matching rules and rebuild the loaded tree with them
+  const applyNormalizationRules = useCallback((rules) => {
+    setRulesDialogOpen(false);
+    setNormalizationRules(rules);
+    saveNormalizationRules(rules);
+    if (tree.rootIds.length === 0) return;
+
+    const { tree: rebuiltTree, originalData } = rebuildContentTree(tree, originalRowData, rules);
+    replaceTree(rebuiltTree, originalData);
+    if (comparison) {
+      const previous = rebuildContentTree(comparison.tree, comparison.originalRowData, rules);
+      setComparison({ ...comparison, tree: previous.tree, originalRowData: previous.originalData });
+    }
+  }, [tree, originalRowData, comparison, replaceTree]);
+
+  // Use edited rows; when hierarchy columns changed, the tree is rebuilt from them
+  const updateEditedRows = useCallback((editedData, hierarchyChanged) => {
+    if (hierarchyChanged) {
+      const { tree: rebuiltTree, originalData } = rebuildContentTree(tree, editedData, normalizationRules);
+      replaceTree(rebuiltTree, originalData);
+    } else {
+      setOriginalRowData(editedData);
+    }
+  }, [tree, normalizationRules, replaceTree]);
+
+  const commitEdit = useCallback((edit) => {
+    if (edit.changes.length === 0) return;
+    const newEdit = { ...edit, id: getNextEditId(edits) };
+    setEdits([...edits, newEdit]);
+    updateEditedRows(applyEdit(originalRowData, newEdit), editsHierarchy(tree, newEdit));
+  }, [tree, originalRowData, edits, updateEditedRows]);
+
+  const revertContentEdit = useCallback((editId) => {
+    const reverted = edits.find(edit => edit.id === editId);
+    const result = revertEdit(originalRowData, edits, editId);
+    setEdits(result.edits);
+    updateEditedRows(result.originalRowData, editsHierarchy(tree, reverted));
+  }, [tree, originalRowData, edits, updateEditedRows]);
+
+  const revertAllEdits = useCallback(() => {
+    let editedData = originalRowData;
+    let remaining = edits;
+    edits.slice().reverse().forEach(edit => {
+      ({ originalRowData: editedData, edits: remaining } = revertEdit(editedData, remaining, edit.id));
+    });
+    setEdits([]);
+    updateEditedRows(editedData, edits.some(edit => editsHierarchy(tree, edit)));
+  }, [tree, originalRowData, edits, updateEditedRows]);
+
+  // Put keyboard focus back on the tree after editing in place
+  const focusTree = () => document.getElementById(TREE_DOM_ID)?.focus();
+
+  const renameNode = useCallback((nodeId, name) => {
+    setEditingNodeId(null);
+    const trimmed = name.trim();
+    if (trimmed && trimmed !== tree.nodes[nodeId].name) {
+      commitEdit(createRenameEdit(tree, originalRowData, nodeId, trimmed));
+    }
+  }, [tree, originalRowData, commitEdit]);
+
+  const editCell = useCallback((rowId, column, value) => {
+    setEditingCell(null);
+    const { sheetName, rowIndex, name } = tree.nodes[rowId];
+    if (value === String(originalRowData[sheetName][rowIndex][column] ?? '')) return;
+    commitEdit(createCellEdit(originalRowData, sheetName, rowIndex, name, column, value));
+  }, [tree, originalRowData, commitEdit]);
+
+  const moveNode = useCallback((nodeId, parentId) => {
+    if (!canMoveNode(tree, nodeId, parentId)) return;
+    commitEdit(createMoveEdit(tree, originalRowData, nodeId, parentId));
+  }, [tree, originalRowData, commitEdit]);
+
+  const editedCellOrigins = useMemo(() => getEditedCellOrigins(edits), [edits]);
+
   // Toggle node expansion
-  const toggleExpanded = useCallback((nodeKey) => {
+  const toggleExpanded = useCallback((nodeId) => {
     setExpandedNodes(prev => ({
       ...prev,
-      [nodeKey]: !prev[nodeKey]
+      [nodeId]: !prev[nodeId]
     }));
   }, []);
 
-  // Helper function to safely convert to string and search, handling empty cells
-  const safeSearch = (value, searchTerm) => {
-    if (!searchTerm) return false;
-    if (value === '' || value === null || value === undefined) return false;
-    return String(value).toLowerCase().includes(searchTerm.toLowerCase());
-  };
-
   // Helper function to display labels with empty value handling
   const getDisplayLabel = (value, type) => {
     if (value === '' || value === null || value === undefined) {
@@ -259,356 +598,649 @@ const FilterContentComponent = () => {
     return String(value);
   };
 
-  // Memoized filtered data
-  const filteredData = useMemo(() => {
-    if (!searchTerm) return data;
+  // Rows matching the search query and the nodes leading to them; null when not searching.
+  // Runs on a deferred copy of the query so typing stays responsive on large trees.
+  const deferredSearchTerm = useDeferredValue(searchTerm);
+  const searchResult = useMemo(() => {
+    if (!deferredSearchTerm.trim()) return null;
     
-    const filtered = {};
-    Object.keys(data).forEach(category => {
-      if (safeSearch(category, searchTerm)) {
-        filtered[category] = data[category];
-        return;
+    try {
+      const expression = parseSearchQuery(deferredSearchTerm);
+      if (!expression) return null;
+      return {
+        ...searchRows(tree, originalRowData, expression),
+        highlightTerms: getHighlightTerms(expression)
+      };
+    } catch (error) {
+      if (error instanceof SearchSyntaxError) {
+        return { error: error.message };
       }
-      
-      const filteredCategory = new Map();
-      data[category].forEach((classes, className) => {
-        if (safeSearch(className, searchTerm)) {
-          filteredCategory.set(className, classes);
-          return;
-        }
-        
-        const filteredClasses = new Map();
-        classes.forEach((subjects, subjectName) => {
-          if (safeSearch(subjectName, searchTerm)) {
-            filteredClasses.set(subjectName, subjects);
-            return;
-          }
-          
-          const filteredSubjects = new Map();
-          subjects.forEach((chapters, chapterName) => {
-            if (safeSearch(chapterName, searchTerm)) {
-              filteredSubjects.set(chapterName, chapters);
-              return;
-            }
-            
-            const filteredChapters = new Map();
-            chapters.forEach((topics, topicName) => {
-              if (safeSearch(topicName, searchTerm)) {
-                filteredChapters.set(topicName, topics);
-              }
-            });
-            
-            if (filteredChapters.size > 0) {
-              filteredSubjects.set(chapterName, filteredChapters);
-            }
-          });
-          
-          if (filteredSubjects.size > 0) {
-            filteredClasses.set(subjectName, filteredSubjects);
-          }
-        });
-        
-        if (filteredClasses.size > 0) {
-          filteredCategory.set(className, filteredClasses);
-        }
-      });
-      
-      if (filteredCategory.size > 0) {
-        filtered[category] = filteredCategory;
+      throw error;
+    }
+  }, [tree, originalRowData, deferredSearchTerm]);
+
+  const visibleNodeIds = searchResult?.visibleNodeIds || null;
+
+  // Expand down to a node, scroll it into view and mark it; clears a search that hides it
+  const revealNode = useCallback((nodeId) => {
+    if (!tree.nodes[nodeId]) return;
+    setExpandedNodes(prev => {
+      const next = { ...prev };
+      for (let id = tree.nodes[nodeId].parentId; id !== null; id = tree.nodes[id].parentId) {
+        next[id] = true;
       }
+      return next;
     });
-    
-    return filtered;
-  }, [data, searchTerm]);
+    if (visibleNodeIds && !visibleNodeIds.has(nodeId)) setSearchTerm('');
+    setHighlightedNodeId(nodeId);
+    setActiveNodeId(nodeId);
+    setPendingScrollNodeId(nodeId);
+  }, [tree, visibleNodeIds]);
+  const highlightTerms = searchResult?.highlightTerms;
 
-  //getFilteredData to use original row order
-  const getFilteredData = useCallback(() => {
-    const result = {};
-    
-    Object.keys(originalRowData).forEach(category => {
-      if (selection[category]?.checked || selection[category]?.indeterminate) {
-        // Filter original data based on selection, preserving order
-        const filteredRows = originalRowData[category].filter(row => {
-          const topicKey = row._topicKey;
-          return selection[topicKey]?.checked;
-        });
-        
-        if (filteredRows.length > 0) {
-          // Remove the internal _topicKey before adding to result
-          result[category] = filteredRows.map(row => {
-            const { _topicKey, ...cleanRow } = row;
-            return cleanRow;
-          });
-        }
-      }
+  // Select or deselect every matching row through the normal propagation
+  const updateMatchesSelection = useCallback((checked) => {
+    if (!searchResult?.matchedRowIds) return;
+    const count = searchResult.matchedRowIds.size;
+    changeSelection(
+      prev => setNodesChecked(tree, prev, searchResult.matchedRowIds, checked),
+      `${checked ? 'Selected' : 'Deselected'} ${count} ${count === 1 ? 'match' : 'matches'} for "${deferredSearchTerm.trim()}"`
+    );
+  }, [tree, searchResult, deferredSearchTerm, changeSelection]);
+
+  // Shift-click: check or uncheck every sibling from the last clicked node to this one
+  const updateRangeSelection = useCallback((nodeId, checked) => {
+    const rangeIds = selectionAnchorRef.current &&
+      getSiblingRange(tree, selectionAnchorRef.current, nodeId, id => !visibleNodeIds || visibleNodeIds.has(id));
+    if (!rangeIds) {
+      updateSelection(nodeId, checked);
+      return;
+    }
+    selectionAnchorRef.current = nodeId;
+    changeSelection(
+      prev => setNodesChecked(tree, prev, rangeIds, checked),
+      `${checked ? 'Checked' : 'Unchecked'} ${describeNode(tree, rangeIds[0])} to ${tree.nodes[rangeIds[rangeIds.length - 1]].name}`
+    );
+  }, [tree, visibleNodeIds, updateSelection, changeSelection]);
+
+  const maxDepth = useMemo(() => getMaxHierarchyDepth(tree), [tree]);
+
+  const expandToDepth = useCallback((depth) => {
+    setExpandedNodes(getExpandedToDepth(tree, depth));
+  }, [tree]);
+
+  const countLevelMatches = useCallback(
+    (level, query, matchMode) => findNodesAtLevel(tree, level, query, matchMode).length,
+    [tree]
+  );
+
+  // "Uncheck every chapter named Revision": matching nodes at one level, through the normal propagation
+  const selectAtLevel = useCallback((level, query, matchMode, checked) => {
+    const nodeIds = findNodesAtLevel(tree, level, query, matchMode);
+    if (nodeIds.length === 0) return;
+    const levelName = nodeIds.length === 1 ? HIERARCHY_LEVELS[level - 1].label.toLowerCase() : HIERARCHY_LEVELS[level - 1].plural;
+    const matchLabel = NAME_MATCH_MODES.find(mode => mode.id === matchMode).label;
+    changeSelection(
+      prev => setNodesChecked(tree, prev, nodeIds, checked),
+      `${checked ? 'Checked' : 'Unchecked'} ${nodeIds.length} ${levelName}${query.trim() ? ` ${matchLabel} "${query.trim()}"` : ''}`
+    );
+  }, [tree, changeSelection]);
+
+  // Attribute facets from non-hierarchy columns, combined with the tree selection on export
+  const facets = useMemo(() => detectFacets(tree, originalRowData), [tree, originalRowData]);
+  const activeFacetFilters = useMemo(() => getActiveFacetFilters(facetFilters), [facetFilters]);
+  const exportCounts = useMemo(
+    () => computeExportCounts(tree, originalRowData, selection, activeFacetFilters, facets),
+    [tree, originalRowData, selection, activeFacetFilters, facets]
+  );
+
+  const summary = useMemo(() => summarizeSelection(tree, exportCounts), [tree, exportCounts]);
+  const exportedRowCount = summary.levels[summary.levels.length - 1].exported;
+  const totalRowCount = summary.levels[summary.levels.length - 1].total;
+
+  const toggleFacetValue = useCallback((column, value) => {
+    setFacetFilters(prev => {
+      const values = prev[column] || [];
+      return {
+        ...prev,
+        [column]: values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+      };
     });
-    
-    return result;
-  }, [originalRowData, selection]);
+  }, []);
+
+  const clearFacetFilters = useCallback(() => {
+    setFacetFilters({});
+  }, []);
 
-  // Download function with exact original data preservation and no trailing empty rows
-  const downloadFilteredExcel = useCallback(async () => {
+  // Whether the rows to export differ from the last download: another tree, edited rows,
+  // selection or facet filters. The export options are compared in the export dialog.
+  const changedSinceExport = useMemo(() => !lastExport
+    || lastExport.tree !== tree
+    || lastExport.originalRowData !== originalRowData
+    || !isSameSelection(tree, lastExport.selection, selection)
+    || !isSameFacetFilters(lastExport.facetFilters, facetFilters),
+  [lastExport, tree, originalRowData, selection, facetFilters]);
+
+  // The summary's preview, only worked out while the summary is open
+  const previewData = useMemo(
+    () => showSummary ? getFilteredData(tree, originalRowData, selection, { activeFacetFilters }) : {},
+    [showSummary, tree, originalRowData, selection, activeFacetFilters]
+  );
+
+  // Export the filtered rows in the format chosen in the export dialog
+  const downloadFilteredExcel = useCallback(async (options) => {
+    setExportDialogOpen(false);
     setDownloadProgress(true);
+    saveExportOptions(options);
     try {
-      const filteredData = getFilteredData();
-      const wb = XLSX.utils.book_new();
+      // Let the progress state render before the synchronous export work
+      await new Promise(resolve => setTimeout(resolve, 0));
       
-      // Process in chunks to avoid blocking
-      const categories = Object.keys(filteredData);
-      for (let i = 0; i < categories.length; i++) {
-        const category = categories[i];
-        if (filteredData[category].length > 0) {
-          // Create worksheet with exact same settings as original data
-          const ws = XLSX.utils.json_to_sheet(filteredData[category], {
-            defval: '', // Preserve empty cells as empty strings
-            skipHeader: false,
-            dateNF: 'yyyy-mm-dd'
-          });
-          
-          // Get the actual data range
-          const range = XLSX.utils.decode_range(ws['!ref']);
-          const actualDataRowCount = filteredData[category].length;
-          
-          // Ensure all columns are present for actual data rows only
-          for (let row = range.s.r; row <= range.s.r + actualDataRowCount; row++) {
-            for (let col = range.s.c; col <= range.e.c; col++) {
-              const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
-              if (!ws[cellAddress]) {
-                // Only create empty cell if it's within the actual data range
-                ws[cellAddress] = { t: 's', v: '' };
-              }
-            }
-          }
-          
-          // Set the worksheet range to only include actual data (no trailing empty rows)
-          const newRange = {
-            s: { r: range.s.r, c: range.s.c },
-            e: { r: range.s.r + actualDataRowCount, c: range.e.c }
-          };
-          ws['!ref'] = XLSX.utils.encode_range(newRange);
-          
-          // Remove any cells that are beyond the actual data range
-          Object.keys(ws).forEach(cell => {
-            if (cell.startsWith('!')) return; // Skip metadata
-            const cellRef = XLSX.utils.decode_cell(cell);
-            if (cellRef.r > range.s.r + actualDataRowCount) {
-              delete ws[cell];
-            }
-          });
-          
-          XLSX.utils.book_append_sheet(wb, ws, category);
-        }
-        
-        // Allow UI updates between sheets
-        if (i % 3 === 0) {
-          await new Promise(resolve => setTimeout(resolve, 0));
-        }
-      }
+      const { data, extension, mimeType } = exportContent(
+        { tree, originalRowData, originalFiles: originalFilesRef.current, sourceFiles, qualityIssues, edits },
+        selection,
+        options,
+        activeFacetFilters
+      );
       
-      // Write file with same format as original
-      XLSX.writeFile(wb, `Filtered_Excel_File_${Date.now()}.xlsx`, {
-        bookType: 'xlsx',
-        cellDates: true,
-        sheetStubs: true, // Include empty cells (but only within actual data range)
-        compression: true // Enable compression but preserve data structure
-      });
-      setHasChanges(false);
+      downloadBlob(
+        new Blob([data], { type: mimeType }),
+        formatFileName(options.fileNameTemplate, { sourceName: sourceFileName }, extension)
+      );
+      setLastExport({ tree, originalRowData, selection, facetFilters, options, exportedAt: new Date() });
     } catch (error) {
       console.error('Error downloading file:', error);
-      alert('Error downloading file. Please try again.');
+      alert(error instanceof FidelityExportError ? error.message : 'Error downloading file. Please try again.');
     } finally {
       setDownloadProgress(false);
     }
-  }, [getFilteredData]);
+  }, [tree, originalRowData, selection, facetFilters, activeFacetFilters, sourceFileName, sourceFiles, qualityIssues, edits]);
+
+  // File name tokens of the first workbook a split export at `level` would produce, for the
+  // export dialog's preview
+  const getSplitExample = useCallback((level) => {
+    const nodeId = level === 0 ? tree.rootIds[0] : findNodesAtLevel(tree, level, '')[0];
+    return nodeId ? getSplitValues(tree, nodeId) : {};
+  }, [tree]);
 
-  // Simplified checkbox component with better state management
-  const CheckboxComponent = ({ nodeKey, label, hasChildren = false }) => {
-    const state = selection[nodeKey] || { checked: false, indeterminate: false };
+  // Save the current selection as a path-based preset file
+  const savePreset = useCallback(() => {
+    const name = window.prompt('Preset name', 'Selection preset');
+    if (!name) return;
+
+    const preset = createPreset(name, tree, selection);
+    const blob = new Blob([JSON.stringify(preset, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${sanitizeFileName(name)}.preset.json`);
+  }, [tree, selection]);
+
+  // Load a previous version of the workbook, mapped like the current one, to compare against
+  const loadPreviousVersion = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setComparing(true);
+    abortControllerRef.current = new AbortController();
+    try {
+      const buffer = await file.arrayBuffer();
+      const { sheetHeaders } = await runWorkerTask({ type: 'parse', files: [{ name: file.name, buffer }] }, [buffer]);
+
+      // Sheets are compared by name, and need the hierarchy columns of the current sheet
+      const sheetMappings = {};
+      const sheetSources = {};
+      tree.rootIds.forEach(sheetId => {
+        const { name, levelColumns } = tree.nodes[sheetId];
+        const headers = sheetHeaders.find(sheet => sheet.sheetName === name)?.headers || [];
+        if (levelColumns.every(column => headers.includes(column))) {
+          sheetMappings[name] = { depth: levelColumns.length, columns: levelColumns };
+          sheetSources[name] = [{ fileIndex: 0, sheetName: name }];
+        }
+      });
+      if (Object.keys(sheetMappings).length === 0) {
+        alert('No sheet in this file has the same name and hierarchy columns as the current workbook.');
+        return;
+      }
+
+      const { tree: previousTree, originalData } =
+        await runWorkerTask({ type: 'build', sheetMappings, sheetSources, normalizationRules });
+      setComparison({ fileName: file.name, tree: previousTree, originalRowData: originalData, keyColumn: FULL_ROW_KEY });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Error comparing file:', error);
+      alert('Error reading the previous version. Please make sure it\'s a valid Excel, ODS, CSV or JSON file.');
+    } finally {
+      terminateWorker();
+      setComparing(false);
+    }
+  }, [tree, normalizationRules, runWorkerTask, terminateWorker]);
+
+  const diff = useMemo(() => comparison && diffWorkbooks(comparison, { tree, originalRowData }, comparison.keyColumn), [comparison, tree, originalRowData]);
+
+  const keyColumns = useMemo(() => comparison ? getKeyColumnCandidates(tree, comparison.tree) : [], [comparison, tree]);
+
+  // Top-most nodes that the previous version didn't have
+  const addedNodes = useMemo(() => {
+    if (!diff) return [];
+    return Object.keys(diff.nodeStatus)
+      .filter(nodeId => diff.nodeStatus[nodeId] === 'added' && diff.nodeStatus[tree.nodes[nodeId].parentId] !== 'added')
+      .map(nodeId => ({ nodeId, path: getNodePath(tree, nodeId) }));
+  }, [diff, tree]);
+
+  // Select the new and modified rows only, so the export is a delta of the two versions
+  const selectOnlyChanged = useCallback(() => {
+    const cleared = setNodesChecked(tree, createInitialSelection(tree), tree.rootIds, false);
+    changeSelection(setNodesChecked(tree, cleared, Object.keys(diff.rowStatus), true), 'Selected only new/changed rows');
+  }, [tree, diff, changeSelection]);
+
+  // Apply a preset file to the current workbook and report how well it matched
+  const loadPreset = useCallback(async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const preset = parsePreset(await file.text());
+      const { selection: presetSelection, report } = applyPreset(tree, preset);
+      changeSelection(presetSelection, `Loaded preset "${report.presetName}"`);
+      setPresetReport(report);
+    } catch (error) {
+      console.error('Error loading preset:', error);
+      alert('Error loading preset. Please make sure it\'s a valid preset file.');
+    }
+  }, [tree, changeSelection]);
+
+  // Check box and expand chevron of a tree item. Both are drawn for the mouse only: the
+  // tree item itself carries aria-checked and aria-expanded for assistive technology.
+  const CheckboxComponent = ({ nodeId, label, hasChildren = false, canRename = false }) => {
+    const state = selection[nodeId] || { checked: false, indeterminate: false };
     
     const handleCheckboxChange = (e) => {
       e.stopPropagation();
-      updateSelection(nodeKey, e.target.checked);
+      (e.shiftKey ? updateRangeSelection : updateSelection)(nodeId, !state.checked);
     };
 
     const handleToggleExpanded = (e) => {
       e.stopPropagation();
-      toggleExpanded(nodeKey);
+      toggleExpanded(nodeId);
     };
 
     return (
-      <div className="flex items-center space-x-2">
-        <label className="flex items-center cursor-pointer">
-          <input
-            type="checkbox"
-            checked={state.checked}
-            onChange={handleCheckboxChange}
-            ref={input => {
-              if (input) {
-                input.indeterminate = state.indeterminate;
-              }
-            }}
-            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500 cursor-pointer"
-          />
+      <div className="flex items-center space-x-2 min-w-0">
+        <span className="flex items-center cursor-pointer min-w-0" onClick={handleCheckboxChange}>
+          <span
+            aria-hidden="true"
+            className={`w-4 h-4 flex-shrink-0 flex items-center justify-center rounded border ${
+              state.checked || state.indeterminate ? 'bg-blue-600 border-blue-600 text-white' : 'bg-white border-gray-300'
+            }`}
+          >
+            {state.checked ? <Check size={12} strokeWidth={3} /> : state.indeterminate && <Minus size={12} strokeWidth={3} />}
+          </span>
           <span className="ml-2 text-sm font-medium text-gray-700 truncate select-none">
             {label}
           </span>
-        </label>
+        </span>
+        {canRename && (
+          <span
+            aria-hidden="true"
+            onClick={(e) => {
+              e.stopPropagation();
+              setEditingNodeId(nodeId);
+            }}
+            className="text-gray-400 hover:text-indigo-600 flex-shrink-0 p-1 hover:bg-gray-100 rounded cursor-pointer"
+            title="Rename (F2)"
+          >
+            <Pencil size={14} />
+          </span>
+        )}
         {hasChildren && (
-          <button
+          <span
+            aria-hidden="true"
             onClick={handleToggleExpanded}
-            className="ml-1 text-gray-500 hover:text-gray-700 flex-shrink-0 p-1 hover:bg-gray-100 rounded"
-            type="button"
+            className="ml-1 text-gray-500 hover:text-gray-700 flex-shrink-0 p-1 hover:bg-gray-100 rounded cursor-pointer"
           >
-            {expandedNodes[nodeKey] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
-          </button>
+            {expandedNodes[nodeId] ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+          </span>
         )}
       </div>
     );
   };
 
-  // Virtualized tree renderer with proper sorting and uniqueness
-  const renderTree = useMemo(() => {
-    return Object.keys(filteredData)
-      .sort() // Sort categories alphabetically
-      .map(category => {
-        const categoryData = filteredData[category];
-        const classCount = categoryData instanceof Map ? categoryData.size : Object.keys(categoryData).length;
-        
-        return (
-          <div key={category} className="mb-3">
-            <div className="p-3 bg-blue-50 rounded-lg border border-blue-200">
-              <CheckboxComponent 
-                nodeKey={category} 
-                label={`${category} (${classCount} classes)`} 
-                hasChildren={true} 
-              />
+  // Flatten the visible part of the tree (expanded branches only) into one list for windowed rendering
+  const flattenedTree = useMemo(() => {
+    const items = [];
+    
+    const isVisible = (nodeId) => !visibleNodeIds || visibleNodeIds.has(nodeId);
+
+    // childIds are already in display order; position and setSize count visible siblings
+    const visit = (nodeId, position, setSize) => {
+      const node = tree.nodes[nodeId];
+      const isLeaf = Boolean(node.rowIndices);
+      const level = HIERARCHY_LEVELS[node.level - 1];
+      // Live count of rows this node will contribute to the export
+      const exportLabel = `${exportCounts.nodeCounts[nodeId] || 0} of ${exportCounts.nodeTotals[nodeId] || 0}`;
+      const countLabel = isLeaf
+        ? `${exportLabel} items`
+        : `${node.childIds.length} ${HIERARCHY_LEVELS[node.level].plural} · ${exportLabel} rows`;
+
+      items.push({
+        nodeId,
+        depth: node.level,
+        prefix: node.level === 1 ? `${level.label}: ` : '',
+        name: node.level === 0 ? node.name : getDisplayLabel(node.name, level.label),
+        suffix: ` (${countLabel})`,
+        field: node.level === 0 ? 'sheet' : level.key,
+        hasChildren: true,
+        style: node.level === 0 ? 'bg-blue-50 border-blue-200' : LEVEL_STYLES[node.level - 1],
+        diffStatus: diff?.nodeStatus[nodeId],
+        position,
+        setSize
+      });
+
+      if (!expandedNodes[nodeId]) return;
+      const childIds = node.childIds.filter(isVisible);
+      if (!isLeaf) {
+        childIds.forEach((childId, index) => visit(childId, index + 1, childIds.length));
+        return;
+      }
+
+      // Expanded leaf: a column header followed by its rows, in original order
+      const { columns } = getSheetNode(tree, node.sheetName);
+      const showSource = sourceFiles.length > 1;
+      items.push({ type: 'rowHeader', nodeId: `${nodeId}:header`, depth: node.level + 1, columns, showSource });
+      childIds.forEach((rowId, index) => {
+        const rowNode = tree.nodes[rowId];
+        const row = originalRowData[node.sheetName][rowNode.rowIndex];
+        items.push({
+          type: 'row',
+          nodeId: rowId,
+          depth: node.level + 1,
+          label: rowNode.name,
+          sheetName: node.sheetName,
+          rowIndex: rowNode.rowIndex,
+          columns,
+          showSource,
+          row,
+          filteredOut: !rowMatchesFacets(row, activeFacetFilters),
+          diffStatus: diff?.rowStatus[rowId],
+          position: index + 1,
+          setSize: childIds.length
+        });
+      });
+    };
+    const rootIds = tree.rootIds.filter(isVisible);
+    rootIds.forEach((rootId, index) => visit(rootId, index + 1, rootIds.length));
+
+    return items;
+  }, [tree, originalRowData, visibleNodeIds, expandedNodes, exportCounts, activeFacetFilters, diff, sourceFiles]);
+
+  const scrollToIndex = pendingScrollNodeId
+    ? flattenedTree.findIndex(item => item.nodeId === pendingScrollNodeId)
+    : null;
+  const clearPendingScroll = useCallback(() => setPendingScrollNodeId(null), []);
+
+  // The focused tree item; the first one when it was collapsed away or filtered out
+  const activeIndex = Math.max(0, flattenedTree.findIndex(item => item.nodeId === activeNodeId));
+
+  // Keyboard navigation of the WAI-ARIA tree: arrows, Home/End, Left/Right to collapse and
+  // expand, Space to check, Enter to expand, and typing to jump to a name
+  const handleTreeKeyDown = useCallback((event) => {
+    const item = flattenedTree[activeIndex];
+    if (!item || event.target !== event.currentTarget || event.ctrlKey || event.metaKey || event.altKey) return;
+    const moveTo = (index) => {
+      if (index >= 0) setActiveNodeId(flattenedTree[index].nodeId);
+    };
+    const expanded = item.hasChildren && expandedNodes[item.nodeId];
+
+    switch (event.key) {
+      case 'ArrowDown':
+        moveTo(findTreeItem(flattenedTree, activeIndex + 1, 1));
+        break;
+      case 'ArrowUp':
+        moveTo(findTreeItem(flattenedTree, activeIndex - 1, -1));
+        break;
+      case 'Home':
+        moveTo(findTreeItem(flattenedTree, 0, 1));
+        break;
+      case 'End':
+        moveTo(findTreeItem(flattenedTree, flattenedTree.length - 1, -1));
+        break;
+      case 'ArrowRight':
+        if (!item.hasChildren) break;
+        if (!expanded) {
+          toggleExpanded(item.nodeId);
+        } else {
+          const childIndex = findTreeItem(flattenedTree, activeIndex + 1, 1);
+          if (childIndex >= 0 && flattenedTree[childIndex].depth > item.depth) moveTo(childIndex);
+        }
+        break;
+      case 'ArrowLeft':
+        if (expanded) {
+          toggleExpanded(item.nodeId);
+        } else if (tree.nodes[item.nodeId].parentId !== null) {
+          setActiveNodeId(tree.nodes[item.nodeId].parentId);
+        }
+        break;
+      case ' ':
+        (event.shiftKey ? updateRangeSelection : updateSelection)(item.nodeId, !selection[item.nodeId]?.checked);
+        break;
+      case 'Enter':
+        if (item.hasChildren) toggleExpanded(item.nodeId);
+        break;
+      case 'F2':
+        if (item.type === 'row') setEditingCell({ rowId: item.nodeId, column: item.columns[0] });
+        else if (item.depth > 0) setEditingNodeId(item.nodeId);
+        break;
+      default: {
+        if (event.key.length !== 1) return;
+        // Type-ahead: the next item whose name starts with what was typed, wrapping around
+        const typeAhead = typeAheadRef.current;
+        clearTimeout(typeAhead.timer);
+        typeAhead.text += event.key.toLowerCase();
+        typeAhead.timer = setTimeout(() => {
+          typeAhead.text = '';
+        }, TYPE_AHEAD_RESET);
+        const start = typeAhead.text.length === 1 ? activeIndex + 1 : activeIndex;
+        for (let offset = 0; offset < flattenedTree.length; offset++) {
+          const candidate = flattenedTree[(start + offset) % flattenedTree.length];
+          if (candidate.type !== 'rowHeader' && String(candidate.name ?? candidate.label).toLowerCase().startsWith(typeAhead.text)) {
+            setActiveNodeId(candidate.nodeId);
+            break;
+          }
+        }
+      }
+    }
+    event.preventDefault();
+  }, [flattenedTree, activeIndex, expandedNodes, tree, selection, toggleExpanded, updateSelection, updateRangeSelection]);
+
+  // Roles and states of each tree item; the row column headers are decoration only
+  const getTreeItemProps = (item) => {
+    if (item.type === 'rowHeader') return { 'aria-hidden': true };
+    const state = selection[item.nodeId];
+    return {
+      id: getTreeItemDomId(item.nodeId),
+      role: 'treeitem',
+      'aria-level': item.depth + 1,
+      'aria-posinset': item.position,
+      'aria-setsize': item.setSize,
+      'aria-expanded': item.hasChildren ? Boolean(expandedNodes[item.nodeId]) : undefined,
+      'aria-checked': state?.indeterminate ? 'mixed' : Boolean(state?.checked),
+      'aria-label': item.type === 'row'
+        ? [item.label, ...item.columns.map(column => `${column}: ${item.row[column]}`)].join(', ')
+        : undefined,
+      onMouseDown: () => setActiveNodeId(item.nodeId)
+    };
+  };
+
+  // Drag a node onto a node one level up to move it there
+  const getDragProps = (item) => {
+    const endDrag = () => {
+      setDraggedNodeId(null);
+      setDropTargetId(null);
+    };
+    return {
+      draggable: item.depth >= 2 && editingNodeId !== item.nodeId,
+      onDragStart: (e) => {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.name);
+        setDraggedNodeId(item.nodeId);
+      },
+      onDragOver: (e) => {
+        if (!draggedNodeId || !canMoveNode(tree, draggedNodeId, item.nodeId)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTargetId !== item.nodeId) setDropTargetId(item.nodeId);
+      },
+      onDragLeave: (e) => {
+        if (dropTargetId === item.nodeId && !e.currentTarget.contains(e.relatedTarget)) setDropTargetId(null);
+      },
+      onDrop: (e) => {
+        e.preventDefault();
+        moveNode(draggedNodeId, item.nodeId);
+        endDrag();
+      },
+      onDragEnd: endDrag
+    };
+  };
+
+  // Drop target first, then the report highlight, then the keyboard focus
+  const getItemRing = (nodeId) => {
+    if (nodeId === dropTargetId) return 'ring-2 ring-indigo-500';
+    if (nodeId === highlightedNodeId) return 'ring-2 ring-orange-400';
+    if (treeFocused && nodeId === flattenedTree[activeIndex]?.nodeId) return 'ring-2 ring-blue-500';
+    return '';
+  };
+
+  // The data quality report on its own, as a one-sheet workbook
+  const exportQualityReport = useCallback(() => {
+    const { data, extension, mimeType } = createExport('xlsx', {
+      filteredData: { 'Data quality': getQualityReportRows(qualityIssues) }
+    });
+    downloadBlob(
+      new Blob([data], { type: mimeType }),
+      formatFileName('{name}_data_quality_{date}', { sourceName: sourceFileName }, extension)
+    );
+  }, [qualityIssues, sourceFileName]);
+
+  const renderHighlighted = (text, field) => (
+    highlightTerms ? <HighlightedText text={text} ranges={findHighlightRanges(highlightTerms, text, field)} /> : text
+  );
+
+  const renderDiffBadge = (status) => status && (
+    <span className={`ml-2 px-1.5 py-0.5 rounded text-xs font-medium ${DIFF_BADGES[status].className}`}>
+      {DIFF_BADGES[status].label}
+    </span>
+  );
+
+  const renderTreeItem = (item) => {
+    if (item.type === 'rowHeader') {
+      return (
+        <div className="h-full py-1" style={{ paddingLeft: item.depth * TREE_INDENT }}>
+          <div className="h-full px-3 flex items-center rounded-lg bg-gray-200 text-xs font-semibold text-gray-700 overflow-hidden">
+            <span className="w-24 flex-shrink-0">Row</span>
+            {item.showSource && (
+              <span className="px-2 truncate flex-shrink-0" style={{ width: ROW_CELL_WIDTH }}>File</span>
+            )}
+            {item.columns.map(column => (
+              <span key={column} className="px-2 truncate flex-shrink-0" style={{ width: ROW_CELL_WIDTH }} title={column}>
+                {column}
+              </span>
+            ))}
+          </div>
+        </div>
+      );
+    }
+
+    if (item.type === 'row') {
+      return (
+        <div className="h-full py-1" style={{ paddingLeft: item.depth * TREE_INDENT }}>
+          <div
+            className={`h-full px-3 flex items-center rounded-lg border border-gray-200 bg-white text-xs text-gray-700 overflow-hidden ${item.filteredOut ? 'opacity-50' : ''} ${getItemRing(item.nodeId)} ${item.diffStatus ? DIFF_BADGES[item.diffStatus].rowClassName : ''}`}
+            title={item.filteredOut ? 'Excluded by the active filters' : item.diffStatus && `${DIFF_BADGES[item.diffStatus].label} since the previous version`}
+          >
+            <div className="w-24 flex-shrink-0">
+              <CheckboxComponent nodeId={item.nodeId} label={item.label} />
             </div>
-            
-            {expandedNodes[category] && (
-              <div className="ml-4 mt-2 space-y-2 max-h-60 overflow-y-auto">
-                {categoryData instanceof Map ? 
-                  Array.from(categoryData.entries())
-                    .sort(([a], [b]) => {
-                      // Sort classes numerically if they're numbers, otherwise alphabetically
-                      const aNum = parseFloat(a);
-                      const bNum = parseFloat(b);
-                      if (!isNaN(aNum) && !isNaN(bNum)) {
-                        return aNum - bNum;
-                      }
-                      return String(a).localeCompare(String(b));
-                    })
-                    .map(([className, classes]) => {
-                      const classKey = `${category}-${className}`;
-                      const subjectCount = classes.size;
-                      
-                      return (
-                        <div key={classKey}>
-                          <div className="p-2 bg-gray-100 rounded-lg border border-gray-200">
-                            <CheckboxComponent 
-                              nodeKey={classKey} 
-                              label={`Class: ${getDisplayLabel(className, 'Class')} (${subjectCount} subjects)`} 
-                              hasChildren={true} 
-                            />
-                          </div>
-                          
-                          {expandedNodes[classKey] && (
-                            <div className="ml-4 mt-2 space-y-2 max-h-48 overflow-y-auto">
-                              {Array.from(classes.entries())
-                                .sort(([a], [b]) => String(a).localeCompare(String(b)))
-                                                                                      .slice(0, 100)
-                                .map(([subjectName, subjects]) => {
-                                  const subjectKey = `${classKey}-${subjectName}`;
-                                  const chapterCount = subjects.size;
-                                  
-                                  return (
-                                    <div key={subjectKey}>
-                                      <div className="p-2 bg-green-50 rounded-lg border border-green-200">
-                                        <CheckboxComponent 
-                                          nodeKey={subjectKey} 
-                                          label={`${getDisplayLabel(subjectName, 'Subject')} (${chapterCount} chapters)`} 
-                                          hasChildren={true} 
-                                        />
-                                      </div>
-                                      
-                                      {expandedNodes[subjectKey] && (
-                                        <div className="ml-4 mt-2 space-y-2 max-h-40 overflow-y-auto">
-                                          {Array.from(subjects.entries())
-                                            .sort(([a], [b]) => String(a).localeCompare(String(b)))
-                                            .slice(0, 30)
-                                            .map(([chapterName, chapters]) => {
-                                              const chapterKey = `${subjectKey}-${chapterName}`;
-                                              const topicCount = chapters.size;
-                                              
-                                              return (
-                                                <div key={chapterKey}>
-                                                  <div className="p-2 bg-yellow-50 rounded-lg border border-yellow-200">
-                                                    <CheckboxComponent 
-                                                      nodeKey={chapterKey} 
-                                                      label={`${getDisplayLabel(chapterName, 'Chapter')} (${topicCount} topics)`} 
-                                                      hasChildren={true} 
-                                                    />
-                                                  </div>
-                                                  
-                                                  {expandedNodes[chapterKey] && (
-                                                    <div className="ml-4 mt-2 space-y-1 max-h-32 overflow-y-auto">
-                                                      {Array.from(chapters.entries())
-                                                        .sort(([a], [b]) => String(a).localeCompare(String(b)))
-                                                        .slice(0, 20)
-                                                        .map(([topicName, topics]) => {
-                                                          const topicKey = `${chapterKey}-${topicName}`;
-                                                          const topicCount = topics.length;
-                                                          
-                                                          return (
-                                                            <div key={topicKey} className="p-2 bg-purple-50 rounded-lg border border-purple-200">
-                                                              <CheckboxComponent 
-                                                                nodeKey={topicKey} 
-                                                                label={`${topicName} (${topicCount} items)`} 
-                                                              />
-                                                            </div>
-                                                          );
-                                                        })}
-                                                    </div>
-                                                  )}
-                                                </div>
-                                              );
-                                            })}
-                                        </div>
-                                      )}
-                                    </div>
-                                  );
-                                })}
-                            </div>
-                          )}
-                        </div>
-                      );
-                    }) :
-                  Object.keys(categoryData)
-                    .sort()
-                    .slice(0, 200)
-                    .map(className => {
-                      // Handle non-Map format for backward compatibility
-                      const classKey = `${category}-${className}`;
-                      const subjectCount = Object.keys(categoryData[className]).length;
-                      
-                      return (
-                        <div key={classKey}>
-                          <div className="p-2 bg-gray-100 rounded-lg border border-gray-200">
-                            <CheckboxComponent 
-                              nodeKey={classKey} 
-                              label={`${getDisplayLabel(className, 'Class')} (${subjectCount} subjects)`} 
-                              hasChildren={true} 
-                            />
-                          </div>
-                        </div>
-                      );
-                    })
-                }
-              </div>
+            {item.showSource && (
+              <span className="px-2 truncate flex-shrink-0 text-gray-500" style={{ width: ROW_CELL_WIDTH }} title={item.row._sourceFile}>
+                {item.row._sourceFile}
+              </span>
             )}
+            {item.columns.map(column => {
+              if (editingCell?.rowId === item.nodeId && editingCell.column === column) {
+                return (
+                  <span key={column} className="px-1 flex-shrink-0 flex" style={{ width: ROW_CELL_WIDTH }}>
+                    <InlineEditComponent
+                      initialValue={item.row[column]}
+                      label={`${item.label} ${column}`}
+                      onCommit={(value) => {
+                        editCell(item.nodeId, column, value);
+                        focusTree();
+                      }}
+                      onCancel={() => {
+                        setEditingCell(null);
+                        focusTree();
+                      }}
+                      className="flex-1 text-xs"
+                    />
+                  </span>
+                );
+              }
+              const edited = isCellEdited(editedCellOrigins, item.sheetName, item.rowIndex, column);
+              return (
+                <span
+                  key={column}
+                  className={`px-2 truncate flex-shrink-0 ${edited ? 'bg-indigo-50 text-indigo-800 rounded' : ''}`}
+                  style={{ width: ROW_CELL_WIDTH }}
+                  title={edited
+                    ? `${item.row[column]} (was "${getCellOrigin(editedCellOrigins, item.sheetName, item.rowIndex, column) ?? ''}")`
+                    : `${item.row[column]} (double-click to edit)`}
+                  onDoubleClick={(e) => {
+                    e.stopPropagation();
+                    setEditingCell({ rowId: item.nodeId, column });
+                  }}
+                >
+                  {renderHighlighted(String(item.row[column]), column)}
+                </span>
+              );
+            })}
           </div>
-        );
-      });
-  }, [filteredData, expandedNodes, selection, updateSelection, toggleExpanded]);
+        </div>
+      );
+    }
+
+    return (
+      <div className="h-full py-1" style={{ paddingLeft: item.depth * TREE_INDENT }} {...getDragProps(item)}>
+        <div className={`h-full px-3 flex items-center rounded-lg border ${item.style} ${getItemRing(item.nodeId)} ${draggedNodeId === item.nodeId ? 'opacity-50' : ''}`}>
+          {editingNodeId === item.nodeId ? (
+            // Rendered here rather than inside CheckboxComponent, which remounts on every render
+            <div className="flex items-center flex-1 min-w-0 gap-1 text-sm">
+              <span className="flex-shrink-0">{item.prefix}</span>
+              <InlineEditComponent
+                initialValue={item.name}
+                label={`New name for ${item.name}`}
+                onCommit={(name) => {
+                  renameNode(item.nodeId, name);
+                  focusTree();
+                }}
+                onCancel={() => {
+                  setEditingNodeId(null);
+                  focusTree();
+                }}
+                className="flex-1"
+              />
+            </div>
+          ) : (
+            <CheckboxComponent
+              nodeId={item.nodeId}
+              label={<>{item.prefix}{renderHighlighted(item.name, item.field)}{item.suffix}{renderDiffBadge(item.diffStatus)}</>}
+              hasChildren={item.hasChildren}
+              canRename={item.depth > 0}
+            />
+          )}
+        </div>
+      </div>
+    );
+  };
 
   // File upload UI
   if (!fileUploaded) {
@@ -619,25 +1251,67 @@ const FilterContentComponent = () => {
             <img src={iPrepLogo} alt="iDream Logo" className='max-w-48' />
           </div>
           <h1 className="text-4xl font-bold text-gray-800 mb-4">iDream Content Selection Tool</h1>
-          <p className="text-gray-600 mb-2">Upload your Excel file to get started</p>
+          <p className="text-gray-600 mb-2">Upload your content file to get started</p>
           
-          <div className="border-2 border-dashed border-gray-300 rounded-lg p-12 hover:border-gray-400 transition-colors">
-            <Upload className="w-16 h-16 text-gray-400 mx-auto mb-4" />
-            <label className="cursor-pointer">
-              <span className="text-blue-600 hover:text-blue-700 font-medium text-lg">
-                Choose Excel file
-              </span>
-              <input
-                type="file"
-                accept=".xlsx,.xls"
-                onChange={handleFileUpload}
-                className="hidden"
-              />
-            </label>
-            <p className="text-sm text-gray-500 mt-2">
-              Supports .xlsx and .xls files
-            </p>
-          </div>
+          {pendingCsvFiles ? (
+            <CsvPreviewComponent
+              files={pendingCsvFiles.filter(file => isDelimitedTextFile(file.name))}
+              onConfirm={confirmCsvPreview}
+              onCancel={() => setPendingCsvFiles(null)}
+            />
+          ) : pendingSheets ? (
+            <SheetCollisionComponent
+              collisions={getSheetCollisions(pendingSheets)}
+              onConfirm={confirmSheetCollisions}
+              onCancel={cancelSheetCollisions}
+            />
+          ) : mappingGroups ? (
+            <ColumnMappingComponent
+              groups={mappingGroups}
+              onChange={setMappingGroups}
+              onConfirm={confirmColumnMapping}
+              onCancel={cancelColumnMapping}
+            />
+          ) : (
+            <>
+              {savedSessions.length > 0 && !loading && (
+                <SessionListComponent
+                  sessions={savedSessions}
+                  onResume={resumeSession}
+                  onDelete={removeSavedSession}
+                />
+              )}
+              <div
+                className={`border-2 border-dashed rounded-lg p-12 transition-colors ${
+                  dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:border-gray-400'
+                }`}
+                onDragOver={(e) => {
+                  e.preventDefault();
+                  setDragActive(true);
+                }}
+                onDragLeave={() => setDragActive(false)}
+                onDrop={handleDrop}
+              >
+                <Upload className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+                <label className="cursor-pointer">
+                  <span className="text-blue-600 hover:text-blue-700 font-medium text-lg">
+                    Choose files
+                  </span>
+                  <input
+                    type="file"
+                    accept={SOURCE_FILE_ACCEPT}
+                    multiple
+                    onChange={handleFileUpload}
+                    className="hidden"
+                  />
+                </label>
+                <p className="text-sm text-gray-500 mt-2">
+                  or drop them here. Supports Excel (.xlsx, .xls), OpenDocument (.ods), CSV and JSON files;
+                  several files are merged into one tree
+                </p>
+              </div>
+            </>
+          )}
           
           {loading && (
             <div className="mt-6">
@@ -652,6 +1326,14 @@ const FilterContentComponent = () => {
                 ></div>
               </div>
               <p className="text-sm text-gray-500 mt-2">{Math.round(processingProgress)}% complete</p>
+              <button
+                onClick={cancelProcessing}
+                className="mt-4 inline-flex items-center px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+                type="button"
+              >
+                <X className="w-4 h-4 mr-2" />
+                Cancel
+              </button>
             </div>
           )}
         </div>
@@ -665,6 +1347,19 @@ const FilterContentComponent = () => {
       <div className="mb-6">
         <h1 className="text-4xl font-bold text-gray-800 mb-2">iDream Content Selection Tool</h1>
         <p className="text-gray-600">Select the content you want to include in your filtered Excel file. All content is selected by default.</p>
+        {session && (
+          <label className="flex items-center mt-2 text-sm text-gray-600">
+            Session
+            <input
+              type="text"
+              value={session.name}
+              onChange={(e) => setSession({ ...session, name: e.target.value })}
+              className="ml-2 w-72 px-2 py-1 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              aria-label="Session name"
+            />
+            <span className="ml-2 text-xs text-gray-500">Saved automatically in this browser</span>
+          </label>
+        )}
       </div>
 
       {/* Search and controls */}
@@ -674,7 +1369,7 @@ const FilterContentComponent = () => {
             <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
             <input
               type="text"
-              placeholder="Search categories, classes, subjects, chapters, or topics..."
+              placeholder='Search names or any column, e.g. subject:physics topic:/^intro/ -type:"quiz"'
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-10 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -688,38 +1383,144 @@ const FilterContentComponent = () => {
               </button>
             )}
           </div>
+          {searchResult?.error && (
+            <p className="text-xs text-red-600 mt-1">{searchResult.error}</p>
+          )}
+          {searchResult?.matchedRowIds && (
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-sm text-gray-600">
+              <span>{searchResult.matchedRowIds.size} matching rows</span>
+              <button
+                onClick={() => updateMatchesSelection(true)}
+                disabled={searchResult.matchedRowIds.size === 0}
+                className="flex items-center text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+                type="button"
+              >
+                <CheckSquare className="w-4 h-4 mr-1" />
+                Select all matches
+              </button>
+              <button
+                onClick={() => updateMatchesSelection(false)}
+                disabled={searchResult.matchedRowIds.size === 0}
+                className="flex items-center text-blue-600 hover:text-blue-700 disabled:text-gray-400"
+                type="button"
+              >
+                <Square className="w-4 h-4 mr-1" />
+                Deselect all matches
+              </button>
+            </div>
+          )}
         </div>
         
+        <SelectionHistoryComponent
+          history={selectionHistory}
+          onUndo={undoSelection}
+          onRedo={redoSelection}
+          onJump={index => jumpSelection(() => index)}
+        />
+        
         <button
-          onClick={downloadFilteredExcel}
-          disabled={!hasChanges || downloadProgress}
+          onClick={() => setExportDialogOpen(true)}
+          disabled={downloadProgress}
           className={`flex items-center px-6 py-3 rounded-lg font-medium transition-colors ${
-            hasChanges && !downloadProgress
-              ? 'bg-blue-600 text-white hover:bg-blue-700 shadow-lg'
-              : 'bg-gray-300 text-gray-500 cursor-not-allowed'
+            downloadProgress
+              ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+              : changedSinceExport
+                ? 'bg-blue-600 text-white hover:bg-blue-700 shadow-lg'
+                : 'bg-blue-100 text-blue-700 hover:bg-blue-200'
           }`}
         >
           {downloadProgress ? (
             <>
               <Loader2 className="w-5 h-5 mr-2 animate-spin" />
-              Generating Excel...
+              Generating export...
             </>
           ) : (
             <>
               <Download className="w-5 h-5 mr-2" />
-              Download Filtered Excel
+              Download Filtered Content
             </>
           )}
         </button>
         
+        <button
+          onClick={savePreset}
+          className="flex items-center px-6 py-3 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+        >
+          <Save className="w-5 h-5 mr-2" />
+          Save Preset
+        </button>
+        
+        <label className="flex items-center px-6 py-3 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors cursor-pointer">
+          <FolderOpen className="w-5 h-5 mr-2" />
+          Load Preset
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={loadPreset}
+            className="hidden"
+          />
+        </label>
+        
+        <label className={`flex items-center px-6 py-3 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors ${comparing ? 'opacity-50 pointer-events-none' : 'cursor-pointer'}`}>
+          {comparing ? <Loader2 className="w-5 h-5 mr-2 animate-spin" /> : <GitCompare className="w-5 h-5 mr-2" />}
+          {comparing ? 'Comparing...' : 'Compare Previous Version'}
+          <input
+            type="file"
+            accept={SOURCE_FILE_ACCEPT}
+            onChange={loadPreviousVersion}
+            disabled={comparing}
+            className="hidden"
+          />
+        </label>
+        
+        <button
+          onClick={() => setRulesDialogOpen(true)}
+          className="flex items-center px-6 py-3 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+        >
+          <SpellCheck className="w-5 h-5 mr-2" />
+          Name Rules
+        </button>
+        
+        <button
+          onClick={() => setShowEdits(prev => !prev)}
+          className={`flex items-center px-6 py-3 rounded-lg font-medium transition-colors ${
+            edits.length > 0 ? 'bg-indigo-100 text-indigo-800 hover:bg-indigo-200' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'
+          }`}
+        >
+          <Pencil className="w-5 h-5 mr-2" />
+          Edits ({edits.length})
+        </button>
+        
+        {qualityIssues.length > 0 && !showQualityReport && (
+          <button
+            onClick={() => setShowQualityReport(true)}
+            className="flex items-center px-6 py-3 rounded-lg font-medium bg-yellow-100 text-yellow-800 hover:bg-yellow-200 transition-colors"
+          >
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            Data Quality ({qualityIssues.length})
+          </button>
+        )}
+        
         <button
           onClick={() => {
-            setData({});
-            setSelection({});
+            setTree({ nodes: {}, rootIds: [] });
+            setOriginalRowData({});
+            setSelectionHistory(createHistory({}, 'No file loaded'));
+            setSession(null);
+            savedRowDataRef.current = null;
+            setEdits([]);
+            setShowEdits(false);
             setExpandedNodes({});
-            setHasChanges(false);
+            setLastExport(null);
             setFileUploaded(false);
             setSearchTerm('');
+            setPresetReport(null);
+            setFacetFilters({});
+            setQualityIssues([]);
+            setShowQualityReport(false);
+            setHighlightedNodeId(null);
+            setComparison(null);
+            setShowSummary(false);
           }}
           className="flex items-center px-6 py-3 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
         >
@@ -728,10 +1529,122 @@ const FilterContentComponent = () => {
         </button>
       </div>
       
-      {/* Tree view */}
-      <div className="bg-gray-50 rounded-lg p-6 max-h-[800px] overflow-y-auto border border-gray-200">
-        <div className="space-y-3">
-          {renderTree}
+      {exportDialogOpen && (
+        <ExportDialogComponent
+          initialOptions={loadExportOptions()}
+          sourceName={sourceFileName}
+          sourceCount={sourceFiles.length}
+          qualityIssueCount={qualityIssues.length}
+          exportedRowCount={exportedRowCount}
+          maxDepth={maxDepth}
+          getSplitExample={getSplitExample}
+          lastExport={lastExport && !changedSinceExport ? lastExport : null}
+          onExport={downloadFilteredExcel}
+          onClose={() => setExportDialogOpen(false)}
+        />
+      )}
+      
+      {rulesDialogOpen && (
+        <NormalizationRulesComponent
+          initialRules={normalizationRules}
+          onApply={applyNormalizationRules}
+          onClose={() => setRulesDialogOpen(false)}
+        />
+      )}
+      
+      {presetReport && (
+        <PresetReportComponent report={presetReport} onClose={() => setPresetReport(null)} />
+      )}
+
+      {comparison && (
+        <WorkbookDiffComponent
+          fileName={comparison.fileName}
+          diff={diff}
+          addedNodes={addedNodes}
+          keyColumns={keyColumns}
+          keyColumn={comparison.keyColumn}
+          onKeyColumnChange={keyColumn => setComparison(prev => ({ ...prev, keyColumn }))}
+          onReveal={revealNode}
+          onSelectChanged={selectOnlyChanged}
+          onClose={() => setComparison(null)}
+        />
+      )}
+
+      {showSummary && (
+        <SelectionSummaryComponent
+          summary={summary}
+          previewData={previewData}
+          onReveal={revealNode}
+          onClose={() => setShowSummary(false)}
+        />
+      )}
+      
+      {showEdits && (
+        <PendingEditsComponent
+          edits={edits}
+          onRevert={revertContentEdit}
+          onRevertAll={revertAllEdits}
+          onClose={() => setShowEdits(false)}
+        />
+      )}
+      
+      {showQualityReport && (
+        <DataQualityReportComponent
+          issues={qualityIssues}
+          onReveal={revealNode}
+          onExport={exportQualityReport}
+          onClose={() => setShowQualityReport(false)}
+        />
+      )}
+      
+      <BulkActionsComponent
+        maxDepth={maxDepth}
+        countMatches={countLevelMatches}
+        onExpandToDepth={expandToDepth}
+        onSelectAtLevel={selectAtLevel}
+      />
+      
+      <div className="flex gap-4 items-start">
+        {facets.length > 0 && (
+          <div className="w-64 flex-shrink-0">
+            <FacetPanelComponent
+              facets={facets}
+              facetCounts={exportCounts.facetCounts}
+              facetFilters={facetFilters}
+              onToggle={toggleFacetValue}
+              onClear={clearFacetFilters}
+            />
+          </div>
+        )}
+        
+        {/* Tree view */}
+        <div className="flex-1 min-w-0 bg-gray-50 rounded-lg p-6 border border-gray-200">
+          <VirtualList
+            items={flattenedTree}
+            itemHeight={TREE_ITEM_HEIGHT}
+            maxHeight={TREE_MAX_HEIGHT}
+            getItemKey={item => item.nodeId}
+            renderItem={renderTreeItem}
+            scrollToIndex={scrollToIndex}
+            onScrolledTo={clearPendingScroll}
+            activeIndex={activeIndex}
+            className="rounded-lg focus:outline-none"
+            containerProps={{
+              role: 'tree',
+              'aria-label': 'Content hierarchy',
+              'aria-multiselectable': true,
+              'aria-activedescendant': flattenedTree.length > 0 ? getTreeItemDomId(flattenedTree[activeIndex].nodeId) : undefined,
+              tabIndex: 0,
+              onKeyDown: handleTreeKeyDown,
+              onFocus: () => setTreeFocused(true),
+              onBlur: (e) => {
+                // Focus moving into an inline editor stays within the tree
+                if (!e.currentTarget.contains(e.relatedTarget)) setTreeFocused(false);
+              },
+              id: TREE_DOM_ID
+            }}
+            getItemProps={getTreeItemProps}
+          />
         </div>
       </div>
       
@@ -739,11 +1652,21 @@ const FilterContentComponent = () => {
       <div className="mt-6 flex justify-between items-center text-sm text-gray-500">
         <div className="flex items-center">
           <FileText className="w-4 h-4 mr-1" />
-          Total categories: {Object.keys(data).length}
+          Total categories: {tree.rootIds.length}
         </div>
+        <button
+          onClick={() => setShowSummary(prev => !prev)}
+          className="flex items-center text-blue-600 hover:text-blue-700"
+          type="button"
+        >
+          <ListChecks className="w-4 h-4 mr-1" />
+          Exporting {exportedRowCount} of {totalRowCount} rows · {showSummary ? 'Hide summary' : 'Show summary'}
+        </button>
         <div className="flex items-center">
-          Changes made: <span className={`ml-1 font-medium ${hasChanges ? 'text-green-600' : 'text-gray-500'}`}>
-            {hasChanges ? 'Yes' : 'No'}
+          Last export: <span className={`ml-1 font-medium ${lastExport && changedSinceExport ? 'text-green-600' : 'text-gray-500'}`}>
+            {!lastExport
+              ? 'None yet'
+              : `${lastExport.exportedAt.toLocaleTimeString()}${changedSinceExport ? ', changed since' : ', up to date'}`}
           </span>
         </div>
       </div>
@@ -0,0 +1,37 @@
+import React, { useRef, useState } from 'react';
+
+// Text input that replaces a name or cell while it's being edited: Enter or leaving the
+// field saves, Escape cancels. Events stay inside so the tree doesn't react to them.
+const InlineEditComponent = ({ initialValue, label, onCommit, onCancel, className = '' }) => {
+  const [value, setValue] = useState(String(initialValue ?? ''));
+  const doneRef = useRef(false); // Enter unmounts the field, which can also blur it
+
+  const finish = (callback) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    callback();
+  };
+
+  return (
+    <input
+      type="text"
+      value={value}
+      autoFocus
+      aria-label={label}
+      onFocus={(e) => e.target.select()}
+      onChange={(e) => setValue(e.target.value)}
+      onClick={(e) => e.stopPropagation()}
+      onMouseDown={(e) => e.stopPropagation()}
+      onDoubleClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(() => onCommit(value));
+        if (e.key === 'Escape') finish(onCancel);
+      }}
+      onBlur={() => finish(() => onCommit(value))}
+      className={`min-w-0 px-1 py-0.5 border border-indigo-400 rounded bg-white text-gray-800 focus:outline-none focus:ring-2 focus:ring-indigo-500 ${className}`}
+    />
+  );
+};
+
+export default InlineEditComponent;
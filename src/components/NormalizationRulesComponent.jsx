@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { Plus, Trash2, X } from 'lucide-react';
+import { HIERARCHY_LEVELS } from '../utils/columnMapping';
+
+const RULE_OPTIONS = [
+  { key: 'collapseWhitespace', label: 'Ignore extra spaces', description: '"Light  and Sound " matches "Light and Sound"' },
+  { key: 'caseFold', label: 'Ignore upper/lower case', description: '"motion" matches "Motion"' },
+  { key: 'stripNumbering', label: 'Ignore numbering prefixes', description: '"Ch 1 - Motion" and "2. Motion" match "Motion" (not applied to classes)' }
+];
+
+// Edit the rules that merge differently written hierarchy names into one node
+const NormalizationRulesComponent = ({ initialRules, onApply, onClose }) => {
+  const [rules, setRules] = useState(initialRules);
+
+  const updateAlias = (index, changes) => {
+    setRules(prev => ({
+      ...prev,
+      aliases: prev.aliases.map((alias, aliasIndex) => aliasIndex === index ? { ...alias, ...changes } : alias)
+    }));
+  };
+
+  const addAlias = () => {
+    setRules(prev => ({ ...prev, aliases: [...prev.aliases, { level: '', from: '', to: '' }] }));
+  };
+
+  const removeAlias = (index) => {
+    setRules(prev => ({ ...prev, aliases: prev.aliases.filter((_, aliasIndex) => aliasIndex !== index) }));
+  };
+
+  const applyRules = () => {
+    onApply({ ...rules, aliases: rules.aliases.filter(alias => alias.from.trim() && alias.to.trim()) });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40" role="dialog" aria-modal="true" aria-labelledby="normalization-dialog-title">
+      <div className="w-full max-w-2xl bg-white rounded-lg shadow-xl p-6 max-h-[90vh] overflow-y-auto">
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="normalization-dialog-title" className="text-xl font-semibold text-gray-800">Name matching rules</h2>
+          <button
+            onClick={onClose}
+            className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded"
+            type="button"
+            aria-label="Close name matching rules"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <p className="text-sm text-gray-600 mb-4">
+          Names that match under these rules are shown as one node. The cells in your rows are not changed.
+        </p>
+
+        <fieldset className="space-y-2 mb-6">
+          <legend className="text-sm font-medium text-gray-700 mb-2">Rules</legend>
+          {RULE_OPTIONS.map(option => (
+            <label key={option.key} className="flex items-start cursor-pointer">
+              <input
+                type="checkbox"
+                checked={Boolean(rules[option.key])}
+                onChange={(e) => setRules(prev => ({ ...prev, [option.key]: e.target.checked }))}
+                className="mt-1 w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+              />
+              <span className="ml-3">
+                <span className="block text-sm font-medium text-gray-800">{option.label}</span>
+                <span className="block text-xs text-gray-500">{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <fieldset className="mb-4">
+          <legend className="text-sm font-medium text-gray-700 mb-2">Aliases</legend>
+          {rules.aliases.length === 0 ? (
+            <p className="text-xs text-gray-500 mb-2">No aliases yet. Add one to treat a name as another.</p>
+          ) : (
+            <div className="space-y-2 mb-2">
+              {rules.aliases.map((alias, index) => (
+                <div key={index} className="flex items-center gap-2">
+                  <select
+                    value={alias.level}
+                    onChange={(e) => updateAlias(index, { level: e.target.value })}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-lg"
+                    aria-label="Level"
+                  >
+                    <option value="">Any level</option>
+                    {HIERARCHY_LEVELS.map(level => (
+                      <option key={level.key} value={level.key}>{level.label}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={alias.from}
+                    onChange={(e) => updateAlias(index, { from: e.target.value })}
+                    placeholder="Name in the file"
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-lg"
+                    aria-label="Name in the file"
+                  />
+                  <span className="text-gray-400">→</span>
+                  <input
+                    type="text"
+                    value={alias.to}
+                    onChange={(e) => updateAlias(index, { to: e.target.value })}
+                    placeholder="Canonical name"
+                    className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded-lg"
+                    aria-label="Canonical name"
+                  />
+                  <button
+                    onClick={() => removeAlias(index)}
+                    className="p-1 text-gray-500 hover:text-red-600 hover:bg-gray-100 rounded"
+                    type="button"
+                    aria-label="Remove alias"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          <button onClick={addAlias} className="flex items-center text-sm text-blue-600 hover:text-blue-700" type="button">
+            <Plus className="w-4 h-4 mr-1" />
+            Add alias
+          </button>
+        </fieldset>
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+            type="button"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={applyRules}
+            className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+            type="button"
+          >
+            Apply Rules
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NormalizationRulesComponent;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { Pencil, Undo2, X } from 'lucide-react';
+
+// Corrections made in the tool, newest first, each one revertible
+const PendingEditsComponent = ({ edits, onRevert, onRevertAll, onClose }) => (
+  <div className="mb-6 p-4 rounded-lg border border-indigo-200 bg-indigo-50">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="flex items-center text-lg font-semibold text-gray-800">
+        <Pencil className="w-5 h-5 mr-2 text-indigo-600" />
+        Edits ({edits.length})
+      </h2>
+      <div className="flex items-center gap-2">
+        <button
+          onClick={onRevertAll}
+          disabled={edits.length === 0}
+          className="px-3 py-1 rounded-lg text-sm font-medium bg-white text-indigo-700 border border-indigo-200 hover:bg-indigo-100 disabled:opacity-50 transition-colors"
+          type="button"
+        >
+          Revert all
+        </button>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-indigo-100 rounded"
+          type="button"
+          aria-label="Close edits"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+
+    {edits.length === 0 ? (
+      <p className="text-sm text-gray-600">
+        No edits yet. Use the pencil next to a name, double-click a cell or press F2 in the tree; drag a subject, chapter or topic onto a new parent to move it.
+      </p>
+    ) : (
+      <ul className="text-sm text-gray-700 space-y-1 max-h-60 overflow-y-auto">
+        {[...edits].reverse().map(edit => (
+          <li key={edit.id} className="flex items-center justify-between gap-3">
+            <span className="truncate" title={edit.label}>
+              {edit.label}
+              <span className="ml-2 text-xs text-gray-500">
+                {edit.changes.length} {edit.changes.length === 1 ? 'cell' : 'cells'}
+              </span>
+            </span>
+            <button
+              onClick={() => onRevert(edit.id)}
+              className="flex items-center flex-shrink-0 text-indigo-600 hover:text-indigo-700"
+              type="button"
+            >
+              <Undo2 className="w-4 h-4 mr-1" />
+              Revert
+            </button>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default PendingEditsComponent;
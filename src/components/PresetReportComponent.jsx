@@ -0,0 +1,63 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import ReportList from './ReportList';
+
+// Preset paths with whether the preset selects them
+const PathList = ({ title, entries, emptyText, className }) => (
+  <ReportList
+    title={title}
+    items={entries}
+    emptyText={emptyText}
+    className={className}
+    getItemKey={entry => JSON.stringify(entry.path)}
+    getItemTitle={entry => entry.path.join(' › ')}
+    renderItem={entry => (
+      <>
+        <span className={entry.selected ? 'text-green-700' : 'text-red-700'}>
+          {entry.selected ? 'Selected' : 'Deselected'}
+        </span>
+        {' · '}
+        {entry.path.join(' › ')}
+      </>
+    )}
+  />
+);
+
+// Outcome of applying a selection preset to the current workbook
+const PresetReportComponent = ({ report, onClose }) => (
+  <div className="mb-6 p-4 rounded-lg border border-blue-200 bg-blue-50">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="text-lg font-semibold text-gray-800">Preset applied: {report.presetName}</h2>
+      <button
+        onClick={onClose}
+        className="p-1 text-gray-500 hover:text-gray-700 hover:bg-blue-100 rounded"
+        type="button"
+        aria-label="Close preset report"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <PathList
+        title="Matched"
+        entries={report.matched}
+        emptyText="No preset paths matched this file."
+        className="text-green-700"
+      />
+      <PathList
+        title="No longer in file"
+        entries={report.missing}
+        emptyText="Every preset path was found."
+        className="text-red-700"
+      />
+      <PathList
+        title="New, not in preset"
+        entries={report.uncovered}
+        emptyText="The preset covers all content in this file."
+        className="text-yellow-700"
+      />
+    </div>
+  </div>
+);
+
+export default PresetReportComponent;
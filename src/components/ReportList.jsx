@@ -0,0 +1,36 @@
+import React from 'react';
+import VirtualList from './VirtualList';
+
+const ITEM_HEIGHT = 20;
+const MAX_HEIGHT = 160;
+
+// Titled list for the report panels (quality issues, preset paths, changes...). Every entry
+// is listed; only the ones scrolled into view are mounted, so long lists stay cheap.
+const ReportList = ({ title, items, emptyText, className = '', getItemKey, getItemTitle, renderItem }) => (
+  <div>
+    <h3 className={`text-sm font-semibold mb-1 ${className}`}>
+      {title} ({items.length})
+    </h3>
+    {items.length === 0 ? (
+      <p className="text-xs text-gray-500">{emptyText}</p>
+    ) : (
+      <VirtualList
+        items={items}
+        itemHeight={ITEM_HEIGHT}
+        maxHeight={MAX_HEIGHT}
+        overscan={5}
+        getItemKey={getItemKey}
+        renderItem={(item, index) => (
+          <div className="truncate leading-5" title={getItemTitle?.(item)}>
+            {renderItem(item, index)}
+          </div>
+        )}
+        className="text-xs text-gray-700"
+        containerProps={{ role: 'list', 'aria-label': title }}
+        getItemProps={() => ({ role: 'listitem' })}
+      />
+    )}
+  </div>
+);
+
+export default ReportList;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { History, Redo2, Undo2 } from 'lucide-react';
+import { canRedo, canUndo } from '../utils/selectionHistory';
+
+// Undo/redo buttons and a list of selection changes to jump back (or forward) to
+const SelectionHistoryComponent = ({ history, onUndo, onRedo, onJump }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <div className="relative flex items-center gap-1">
+      <button
+        onClick={onUndo}
+        disabled={!canUndo(history)}
+        className="p-3 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        type="button"
+        title="Undo (Ctrl+Z)"
+        aria-label="Undo selection change"
+      >
+        <Undo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={onRedo}
+        disabled={!canRedo(history)}
+        className="p-3 rounded-lg bg-gray-200 text-gray-700 hover:bg-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        type="button"
+        title="Redo (Ctrl+Shift+Z)"
+        aria-label="Redo selection change"
+      >
+        <Redo2 className="w-5 h-5" />
+      </button>
+      <button
+        onClick={() => setOpen(prev => !prev)}
+        className={`p-3 rounded-lg transition-colors ${open ? 'bg-gray-300 text-gray-800' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}`}
+        type="button"
+        title="Selection history"
+        aria-label="Selection history"
+        aria-expanded={open}
+      >
+        <History className="w-5 h-5" />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-2 z-40 w-80 max-h-96 overflow-y-auto bg-white rounded-lg border border-gray-200 shadow-xl">
+          <ol className="py-1 text-sm">
+            {history.entries.map((entry, index) => (
+              <li key={index}>
+                <button
+                  onClick={() => onJump(index)}
+                  className={`w-full px-3 py-2 text-left truncate hover:bg-gray-100 ${
+                    index === history.index
+                      ? 'font-semibold text-blue-700 bg-blue-50'
+                      : index > history.index ? 'text-gray-400' : 'text-gray-700'
+                  }`}
+                  type="button"
+                  title={entry.label}
+                >
+                  {entry.label}
+                </button>
+              </li>
+            )).reverse()}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SelectionHistoryComponent;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { ListChecks, X } from 'lucide-react';
+import ReportList from './ReportList';
+
+const PREVIEW_ROW_COUNT = 20;
+
+const CountTable = ({ title, heading, entries }) => (
+  <div>
+    <h3 className="text-sm font-semibold text-gray-800 mb-1">{title}</h3>
+    <table className="w-full text-xs text-gray-700">
+      <thead>
+        <tr className="text-left text-gray-500">
+          <th className="font-medium py-1">{heading}</th>
+          <th className="font-medium py-1 text-right">Exported</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map(({ name, exported, total }) => (
+          <tr key={name} className="border-t border-gray-200">
+            <td className="py-1 pr-2 truncate max-w-48" title={name}>{name}</td>
+            <td className={`py-1 text-right tabular-nums ${exported === 0 ? 'text-red-700' : exported < total ? 'text-amber-700' : ''}`}>
+              {exported} of {total}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+// What the download will contain: counts per sheet and level, the branches left out,
+// and the first rows of each exported sheet
+const SelectionSummaryComponent = ({ summary, previewData, onReveal, onClose }) => {
+  const previewSheets = Object.keys(previewData);
+  const [previewSheet, setPreviewSheet] = useState(previewSheets[0] || '');
+  const activeSheet = previewSheets.includes(previewSheet) ? previewSheet : previewSheets[0];
+  const previewRows = activeSheet ? previewData[activeSheet] : [];
+  const previewColumns = previewRows.length > 0 ? Object.keys(previewRows[0]) : [];
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-gray-200 bg-gray-50">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800">
+          <ListChecks className="w-5 h-5 mr-2 text-blue-600" />
+          Export summary
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-gray-200 rounded"
+          type="button"
+          aria-label="Close export summary"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <CountTable title="Rows per sheet" heading="Sheet" entries={summary.sheets} />
+        <CountTable
+          title="Per level"
+          heading="Level"
+          entries={summary.levels.map(level => ({ ...level, name: level.label }))}
+        />
+        <ReportList
+          title="Left out"
+          items={summary.excluded}
+          emptyText="Everything is exported."
+          className="text-gray-800"
+          getItemKey={branch => branch.nodeId}
+          renderItem={({ nodeId, path, status, exported, total }) => (
+            <>
+              <span className={status === 'excluded' ? 'text-red-700' : 'text-amber-700'}>
+                {status === 'excluded' ? 'Excluded' : `${exported} of ${total} rows`}
+              </span>
+              {' · '}
+              <button
+                onClick={() => onReveal(nodeId)}
+                className="text-blue-600 hover:text-blue-700 hover:underline"
+                type="button"
+                title={path.join(' › ')}
+              >
+                {path.join(' › ')}
+              </button>
+            </>
+          )}
+        />
+      </div>
+
+      <div className="flex items-center gap-3 mb-2">
+        <h3 className="text-sm font-semibold text-gray-800">Preview</h3>
+        {previewSheets.length > 1 && (
+          <select
+            value={activeSheet}
+            onChange={(e) => setPreviewSheet(e.target.value)}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-lg bg-white"
+            aria-label="Sheet to preview"
+          >
+            {previewSheets.map(sheetName => (
+              <option key={sheetName} value={sheetName}>{sheetName}</option>
+            ))}
+          </select>
+        )}
+        {activeSheet && (
+          <span className="text-xs text-gray-500">
+            First {Math.min(PREVIEW_ROW_COUNT, previewRows.length)} of {previewRows.length} rows
+          </span>
+        )}
+      </div>
+      {previewRows.length === 0 ? (
+        <p className="text-xs text-gray-500">No rows will be exported.</p>
+      ) : (
+        <div className="overflow-x-auto max-h-72 border border-gray-200 rounded-lg bg-white">
+          <table className="text-xs text-gray-700">
+            <thead className="sticky top-0 bg-gray-100">
+              <tr>
+                {previewColumns.map(column => (
+                  <th key={column} className="px-2 py-1 text-left font-medium whitespace-nowrap">{column}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {previewRows.slice(0, PREVIEW_ROW_COUNT).map((row, index) => (
+                <tr key={index} className="border-t border-gray-100">
+                  {previewColumns.map(column => (
+                    <td key={column} className="px-2 py-1 whitespace-nowrap max-w-64 truncate" title={String(row[column] ?? '')}>
+                      {String(row[column] ?? '')}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SelectionSummaryComponent;
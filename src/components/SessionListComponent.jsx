@@ -0,0 +1,44 @@
+import React from 'react';
+import { History, Trash2 } from 'lucide-react';
+
+// Saved sessions offered on the upload screen, newest first
+const SessionListComponent = ({ sessions, onResume, onDelete }) => (
+  <div className="mt-6 mb-6 text-left p-4 rounded-lg border border-blue-200 bg-blue-50">
+    <h2 className="flex items-center text-lg font-semibold text-gray-800 mb-3">
+      <History className="w-5 h-5 mr-2 text-blue-600" />
+      Resume previous session
+    </h2>
+    <ul className="space-y-2">
+      {sessions.map(session => (
+        <li key={session.id} className="flex items-center justify-between gap-3 p-3 rounded-lg bg-white border border-gray-200">
+          <div className="min-w-0">
+            <p className="text-sm font-medium text-gray-800 truncate" title={session.name}>{session.name}</p>
+            <p className="text-xs text-gray-500 truncate">
+              {session.fileName} · saved {new Date(session.savedAt).toLocaleString()}
+            </p>
+          </div>
+          <div className="flex items-center gap-2 flex-shrink-0">
+            <button
+              onClick={() => onResume(session.id)}
+              className="px-3 py-1 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+              type="button"
+            >
+              Resume
+            </button>
+            <button
+              onClick={() => onDelete(session.id)}
+              className="p-1 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded"
+              type="button"
+              aria-label={`Delete session ${session.name}`}
+              title="Delete session"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+export default SessionListComponent;
@@ -0,0 +1,61 @@
+import React, { useState } from 'react';
+import { SHEET_COLLISION_MODES } from '../utils/workbookMerge';
+
+// Ask what to do with sheet names that several uploaded files share
+const SheetCollisionComponent = ({ collisions, onConfirm, onCancel }) => {
+  const [mode, setMode] = useState(SHEET_COLLISION_MODES[0].id);
+
+  return (
+    <div className="mt-6 text-left">
+      <h2 className="text-xl font-semibold text-gray-800 mb-1">Sheets with the same name</h2>
+      <p className="text-sm text-gray-600 mb-4">
+        More than one file has {collisions.length === 1 ? 'a sheet' : 'sheets'} named{' '}
+        {collisions.map((name, index) => (
+          <React.Fragment key={name}>
+            {index > 0 && ', '}
+            <span className="font-medium text-gray-800">{name}</span>
+          </React.Fragment>
+        ))}
+        . Choose how to load them.
+      </p>
+
+      <fieldset className="space-y-2 mb-6">
+        {SHEET_COLLISION_MODES.map(option => (
+          <label key={option.id} className="flex items-start p-3 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer">
+            <input
+              type="radio"
+              name="sheet-collision-mode"
+              value={option.id}
+              checked={mode === option.id}
+              onChange={() => setMode(option.id)}
+              className="mt-1 text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-3">
+              <span className="block text-sm font-medium text-gray-800">{option.label}</span>
+              <span className="block text-xs text-gray-500">{option.description}</span>
+            </span>
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg font-medium bg-gray-200 text-gray-700 hover:bg-gray-300 transition-colors"
+          type="button"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onConfirm(mode)}
+          className="px-4 py-2 rounded-lg font-medium bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+          type="button"
+        >
+          Continue
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SheetCollisionComponent;
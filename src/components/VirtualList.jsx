@@ -0,0 +1,74 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Windowed list of fixed-height items: only the rows in (or near) the viewport are mounted.
+// Setting `scrollToIndex` centres that item; `onScrolledTo` lets the parent clear the request.
+// `activeIndex` is scrolled just far enough to stay in view, e.g. for keyboard focus.
+// `containerProps` and `getItemProps` add attributes such as ARIA roles and handlers.
+const VirtualList = ({
+  items,
+  itemHeight,
+  maxHeight,
+  overscan = 10,
+  getItemKey,
+  renderItem,
+  className = '',
+  scrollToIndex = null,
+  onScrolledTo,
+  activeIndex = null,
+  containerProps = {},
+  getItemProps
+}) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const containerRef = useRef(null);
+
+  const totalHeight = items.length * itemHeight;
+  const height = Math.min(maxHeight, totalHeight);
+
+  useEffect(() => {
+    if (scrollToIndex === null || scrollToIndex < 0 || !containerRef.current) return;
+    containerRef.current.scrollTop = Math.max(0, scrollToIndex * itemHeight - (height - itemHeight) / 2);
+    onScrolledTo?.();
+  }, [scrollToIndex, itemHeight, height, onScrolledTo]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (activeIndex === null || activeIndex < 0 || !container) return;
+    const top = activeIndex * itemHeight;
+    if (top < container.scrollTop) {
+      container.scrollTop = top;
+    } else if (top + itemHeight > container.scrollTop + height) {
+      container.scrollTop = top + itemHeight - height;
+    }
+  }, [activeIndex, itemHeight, height]);
+
+  const start = Math.max(0, Math.floor(scrollTop / itemHeight) - overscan);
+  const end = Math.min(items.length, Math.ceil((scrollTop + height) / itemHeight) + overscan);
+
+  return (
+    <div
+      {...containerProps}
+      ref={containerRef}
+      className={`overflow-y-auto ${className}`}
+      style={{ height }}
+      onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+    >
+      <div className="relative" style={{ height: totalHeight }}>
+        {items.slice(start, end).map((item, offset) => {
+          const index = start + offset;
+          return (
+            <div
+              {...getItemProps?.(item, index)}
+              key={getItemKey(item, index)}
+              className="absolute left-0 right-0"
+              style={{ top: index * itemHeight, height: itemHeight }}
+            >
+              {renderItem(item, index)}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default VirtualList;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { GitCompare, X } from 'lucide-react';
+import { FULL_ROW_KEY } from '../utils/workbookDiff';
+import ReportList from './ReportList';
+
+// What changed since the previous version of the workbook, with the row matching choice
+const WorkbookDiffComponent = ({
+  fileName,
+  diff,
+  addedNodes,
+  keyColumns,
+  keyColumn,
+  onKeyColumnChange,
+  onReveal,
+  onSelectChanged,
+  onClose
+}) => {
+  const rowStatuses = Object.values(diff.rowStatus);
+  const addedRowCount = rowStatuses.filter(status => status === 'added').length;
+  const modifiedRowCount = rowStatuses.length - addedRowCount;
+
+  return (
+    <div className="mb-6 p-4 rounded-lg border border-purple-200 bg-purple-50">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="flex items-center text-lg font-semibold text-gray-800 truncate">
+          <GitCompare className="w-5 h-5 mr-2 text-purple-600 flex-shrink-0" />
+          Compared with {fileName}
+        </h2>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700 hover:bg-purple-100 rounded"
+          type="button"
+          aria-label="Close comparison"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 mb-4 text-sm text-gray-700">
+        <label className="flex items-center">
+          Match rows by
+          <select
+            value={keyColumn}
+            onChange={(e) => onKeyColumnChange(e.target.value)}
+            className="ml-2 px-2 py-1 border border-gray-300 rounded-lg bg-white"
+          >
+            <option value={FULL_ROW_KEY}>Full row</option>
+            {keyColumns.map(column => (
+              <option key={column} value={column}>{column}</option>
+            ))}
+          </select>
+        </label>
+        <span>
+          <span className="text-green-700 font-medium">{addedRowCount} new</span>
+          {' · '}
+          <span className="text-amber-700 font-medium">{modifiedRowCount} modified</span>
+          {' · '}
+          <span className="text-red-700 font-medium">{diff.removedRows.length} removed</span>
+          {' rows'}
+        </span>
+        <button
+          onClick={onSelectChanged}
+          disabled={rowStatuses.length === 0}
+          className="px-3 py-1 rounded-lg font-medium bg-purple-600 text-white hover:bg-purple-700 disabled:bg-gray-300 disabled:text-gray-500 transition-colors"
+          type="button"
+        >
+          Select only new/changed
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <ReportList
+          title="New in this version"
+          items={addedNodes}
+          emptyText="No new topics."
+          className="text-green-700"
+          getItemKey={entry => entry.nodeId}
+          renderItem={({ nodeId, path }) => (
+            <button
+              onClick={() => onReveal(nodeId)}
+              className="text-blue-600 hover:text-blue-700 hover:underline"
+              type="button"
+              title={path.join(' › ')}
+            >
+              {path.join(' › ')}
+            </button>
+          )}
+        />
+        <ReportList
+          title="Removed topics"
+          items={diff.removedPaths}
+          emptyText="Nothing was removed from the hierarchy."
+          className="text-red-700"
+          getItemKey={path => JSON.stringify(path)}
+          renderItem={path => <span title={path.join(' › ')}>{path.join(' › ')}</span>}
+        />
+        <ReportList
+          title="Removed rows"
+          items={diff.removedRows}
+          emptyText="Every previous row is still there."
+          className="text-red-700"
+          getItemKey={(entry, index) => index}
+          renderItem={({ sheetName, rowNumber, path }) => (
+            <span title={path.join(' › ')}>{sheetName} row {rowNumber} · {path.slice(1).join(' › ')}</span>
+          )}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default WorkbookDiffComponent;
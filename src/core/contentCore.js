@@ -0,0 +1,208 @@
+import * as XLSX from 'xlsx/xlsx.mjs';
+import { detectMappingGroups, getSheetHeaders, getSheetMappings, isMappingValid } from '../utils/columnMapping.js';
+import { getEditedCells } from '../utils/contentEdits.js';
+import { buildContentTree, getAncestorAtLevel, getRowNodeId, stripInternalFields } from '../utils/contentTree.js';
+import { getQualityReportRows, validateContent } from '../utils/dataQuality.js';
+import { buildHierarchy, createExport, getRemovedRows, getSplitValues } from '../utils/exporters.js';
+import { computeExportCounts, rowMatchesFacets } from '../utils/facets.js';
+import { createNameNormalizer, DEFAULT_NORMALIZATION_RULES, getCanonicalRow } from '../utils/normalization.js';
+import { applyPreset } from '../utils/presets.js';
+import { getManifestRows, summarizeSelection } from '../utils/selectionSummary.js';
+import { isTextSource, readTextWorkbook } from '../utils/textSources.js';
+import { resolveSheetSources } from '../utils/workbookMerge.js';
+
+// The content pipeline without any UI: read workbooks, build the tree, and export what a
+// selection keeps. The upload worker, FilterContentComponent and the cmt command-line
+// tool all go through here. xlsx is imported as its ES module build, which (unlike the
+// CommonJS one Node picks for 'xlsx') includes the ZIP support the exports need.
+
+// Parsed workbooks are { fileName, workbook }; uploaded files are { name, buffer } and, for
+// CSV and other delimited text, the encoding and delimiter to read them with as `textOptions`.
+// Spreadsheets (.xlsx, .xls, .ods...) are read by SheetJS; CSV and JSON by textSources.
+export const readWorkbook = (buffer, fileName = '', textOptions = {}) => {
+  if (isTextSource(fileName)) return readTextWorkbook(buffer, fileName, textOptions);
+  return XLSX.read(buffer, {
+    type: 'array',
+    cellStyles: false, // Disable for performance
+    cellFormulas: false,
+    cellDates: true,
+    cellNF: false,
+    sheetStubs: true, // Include empty cells
+    defval: '', // Default value for empty cells
+    raw: false // Keep original formatting
+  });
+};
+
+// Every sheet of the parsed workbooks as { fileIndex, fileName, sheetName, headers }
+export const getWorkbookSheets = (workbooks) =>
+  workbooks.flatMap(({ fileName, workbook }, fileIndex) => workbook.SheetNames.map(sheetName => ({
+    fileIndex,
+    fileName,
+    sheetName,
+    headers: getSheetHeaders(workbook.Sheets[sheetName])
+  })));
+
+const readSourceRows = (workbooks, { fileIndex, sheetName }) => {
+  const { fileName, workbook } = workbooks[fileIndex];
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+    defval: '', // Use empty string as default value for empty cells
+    raw: false, // Keep original formatting
+    dateNF: 'yyyy-mm-dd' // Standard date format
+  });
+  rows.forEach(row => {
+    row._sourceIndex = fileIndex; // File names can repeat, so per-file exports go by index
+    row._sourceFile = fileName;
+    row._sourceSheet = sheetName;
+  });
+  return rows;
+};
+
+// Rows of every mapped sheet, ready for buildContentTree. `sheetSources` lists, per sheet
+// of the session, the file sheets its rows come from (see resolveSheetSources).
+export const readSheets = (workbooks, sheetMappings, sheetSources, onSheet = null) =>
+  Object.keys(sheetSources)
+    .filter(name => sheetMappings[name])
+    .map(name => {
+      if (onSheet) onSheet(name);
+      const sourceRows = sheetSources[name].map(source => readSourceRows(workbooks, source));
+      const rows = sourceRows.flat();
+      const columns = Array.from(new Set(sourceRows.flatMap(source => source.length > 0 ? Object.keys(source[0]) : [])))
+        .filter(column => !column.startsWith('_'));
+      if (sourceRows.length > 1) {
+        // Combined sheets: columns only some files have are empty in the others' rows
+        rows.forEach(row => columns.forEach(column => {
+          if (!(column in row)) row[column] = '';
+        }));
+      }
+      return {
+        name,
+        rows,
+        // 0-based worksheet row of each row; blank rows are skipped, so this can differ from the index
+        rowNumbers: rows.map(row => row.__rowNum__),
+        columns
+      };
+    });
+
+// Tree, rows and data quality issues of the read sheets; `onProgress` as for buildContentTree
+export const buildContent = (sheets, sheetMappings, normalizationRules = DEFAULT_NORMALIZATION_RULES, onProgress = null) => {
+  const { tree, originalData } = buildContentTree(sheets, sheetMappings, onProgress, createNameNormalizer(normalizationRules));
+  return { tree, originalData, qualityIssues: validateContent(tree, originalData) };
+};
+
+// The column mappings the upload screen would suggest (saved ones first, where there is
+// storage), for every sheet whose suggestion is usable
+export const getSuggestedMappings = (sheets) =>
+  getSheetMappings(detectMappingGroups(sheets).filter(group => isMappingValid(group.mapping, group.headers)));
+
+// Exported rows in original row order; optionally with merged names in the hierarchy columns,
+// grouped by uploaded file as { fileIndex: { sheetName: rows } } with each file's own sheet names,
+// or grouped by the node at `splitLevel` (0 is the sheet) as { nodeId: { sheetName: rows } }
+export const getFilteredData = (tree, originalRowData, selection, {
+  activeFacetFilters = {},
+  canonicalNames = false,
+  bySource = false,
+  splitLevel = null
+} = {}) => {
+  const result = {};
+
+  tree.rootIds.forEach(sheetId => {
+    const category = tree.nodes[sheetId].name;
+    if (!selection[sheetId]?.checked && !selection[sheetId]?.indeterminate) return;
+
+    originalRowData[category].forEach((row, rowIndex) => {
+      const rowId = getRowNodeId(sheetId, rowIndex);
+      if (!selection[rowId]?.checked || !rowMatchesFacets(row, activeFacetFilters)) return;
+
+      let target = result;
+      let sheetName = category;
+      if (splitLevel !== null) {
+        const groupId = getAncestorAtLevel(tree, rowId, splitLevel);
+        if (!result[groupId]) result[groupId] = {};
+        target = result[groupId];
+      } else if (bySource) {
+        if (!result[row._sourceIndex]) result[row._sourceIndex] = {};
+        target = result[row._sourceIndex];
+        sheetName = row._sourceSheet;
+      }
+      // Remove the internal fields before adding to result
+      if (!target[sheetName]) target[sheetName] = [];
+      target[sheetName].push(stripInternalFields(canonicalNames ? getCanonicalRow(tree, row) : row));
+    });
+  });
+
+  return result;
+};
+
+// Add a report sheet to the exported data under `name`, or "name (2)"... when a sheet of
+// the content already has that name (compared ignoring case, as Excel does)
+const addReportSheet = (filteredData, name, rows) => {
+  const usedNames = new Set(Object.keys(filteredData).map(sheetName => sheetName.toLowerCase()));
+  let sheetName = name;
+  for (let copy = 2; usedNames.has(sheetName.toLowerCase()); copy++) sheetName = `${name} (${copy})`;
+  filteredData[sheetName] = rows;
+};
+
+// File contents for one export of the loaded content ({ tree, originalRowData, and where
+// available originalFiles, sourceFiles, qualityIssues and edits }) with the export dialog's
+// options. Returns { data, extension, mimeType } as createExport does.
+export const exportContent = (content, selection, options, activeFacetFilters = {}) => {
+  const { tree, originalRowData, originalFiles = [], sourceFiles = [], qualityIssues = [], edits = [] } = content;
+  const query = { activeFacetFilters, canonicalNames: Boolean(options.canonicalNames) };
+  const perSource = Boolean(options.perSource) && sourceFiles.length > 1;
+  const isRowExported = (rowId, row) => selection[rowId]?.checked && rowMatchesFacets(row, activeFacetFilters);
+
+  const filteredData = getFilteredData(tree, originalRowData, selection, query);
+  if (options.format === 'xlsx' && options.includeQualityReport && qualityIssues.length > 0 && !perSource) {
+    addReportSheet(filteredData, 'Data quality', getQualityReportRows(qualityIssues));
+  }
+  if (options.format === 'xlsx' && options.includeManifest && !perSource) {
+    const summary = summarizeSelection(tree, computeExportCounts(tree, originalRowData, selection, activeFacetFilters, []));
+    addReportSheet(filteredData, 'Manifest', getManifestRows(summary, { sourceFiles }));
+  }
+
+  return createExport(options.format, {
+    filteredData,
+    getHierarchy: () => buildHierarchy(tree, originalRowData, isRowExported),
+    getSplitGroups: () => Object.entries(getFilteredData(tree, originalRowData, selection, { ...query, splitLevel: options.splitLevel ?? 1 }))
+      .map(([nodeId, groupData]) => ({ values: getSplitValues(tree, nodeId), filteredData: groupData })),
+    splitNameTemplate: options.splitNameTemplate,
+    sourceName: sourceFiles[0],
+    originalFiles,
+    getRemovedRows: () => getRemovedRows(tree, originalRowData, isRowExported),
+    getEditedCells: () => getEditedCells(tree, originalRowData, edits),
+    getFilteredDataBySource: perSource
+      ? () => Object.entries(getFilteredData(tree, originalRowData, selection, { ...query, bySource: true }))
+        .map(([fileIndex, sourceData]) => ({ fileName: sourceFiles[fileIndex], filteredData: sourceData }))
+      : null
+  });
+};
+
+// One unattended run: read the files ({ name, buffer }), map their columns (as given per
+// sheet, or as suggested), select with a preset and export. `report` is applyPreset's,
+// so callers can tell when preset paths no longer match the content.
+export const filterWorkbooks = (files, preset, {
+  sheetMappings = null,
+  collisionMode = 'namespace',
+  normalizationRules = DEFAULT_NORMALIZATION_RULES,
+  exportOptions = {}
+} = {}) => {
+  const workbooks = files.map(({ name, buffer, textOptions }) => ({ fileName: name, workbook: readWorkbook(buffer, name, textOptions) }));
+  const { sheets, sheetSources } = resolveSheetSources(getWorkbookSheets(workbooks), collisionMode);
+  const mappings = sheetMappings || getSuggestedMappings(sheets);
+  if (!sheets.some(sheet => mappings[sheet.sheetName])) {
+    throw new Error('No sheet has columns that can be mapped to the content hierarchy');
+  }
+
+  const { tree, originalData, qualityIssues } =
+    buildContent(readSheets(workbooks, mappings, sheetSources), mappings, normalizationRules);
+  const { selection, report } = applyPreset(tree, preset);
+  const content = { tree, originalRowData: originalData, originalFiles: files, sourceFiles: files.map(file => file.name), qualityIssues };
+  const summary = summarizeSelection(tree, computeExportCounts(tree, originalData, selection, {}, []));
+
+  return {
+    ...exportContent(content, selection, { format: 'xlsx', ...exportOptions }),
+    report,
+    qualityIssues,
+    exportedRowCount: summary.levels[summary.levels.length - 1].exported
+  };
+};
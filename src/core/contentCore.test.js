@@ -0,0 +1,365 @@
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { after, describe, test } from 'node:test';
+import { fileURLToPath } from 'node:url';
+import * as XLSX from 'xlsx/xlsx.mjs';
+import {
+  buildContent,
+  exportContent,
+  filterWorkbooks,
+  getFilteredData,
+  getSuggestedMappings,
+  getWorkbookSheets,
+  readSheets,
+  readWorkbook
+} from './contentCore.js';
+import { applyEdit, createCellEdit } from '../utils/contentEdits.js';
+import { resolveSheetSources } from '../utils/workbookMerge.js';
+import { createInitialSelection, setNodeChecked } from '../utils/selection.js';
+import { buildPathIndex, getPathKey } from '../utils/contentTree.js';
+import { createPreset, PRESET_TYPE, PRESET_VERSION } from '../utils/presets.js';
+
+const CLI_PATH = fileURLToPath(new URL('../../bin/cmt.js', import.meta.url));
+
+const HEADER = ['Class', 'Subject', 'Chapter', 'Topic', 'Duration'];
+
+// Sample workbook: two sheets, rows deliberately not grouped by subject
+const SAMPLE_SHEETS = {
+  Science: [
+    HEADER,
+    ['7', 'Physics', 'Light', 'Mirrors', '10'],
+    ['7', 'Chemistry', 'Acids', 'Indicators', '12'],
+    ['7', 'Physics', 'Light', 'Lenses', '8'],
+    ['8', 'Physics', 'Sound', 'Waves', '15'],
+    ['8', 'Chemistry', 'Metals', 'Alloys', '9']
+  ],
+  Maths: [
+    HEADER,
+    ['7', 'Maths', 'Algebra', 'Equations', '20'],
+    ['8', 'Maths', 'Geometry', 'Triangles', '18']
+  ]
+};
+
+const createWorkbookBuffer = (sheets) => {
+  const wb = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), name));
+  return XLSX.write(wb, { bookType: 'xlsx', type: 'array' });
+};
+
+const sampleFile = () => ({ name: 'curriculum.xlsx', buffer: createWorkbookBuffer(SAMPLE_SHEETS) });
+
+// The sample with formulas on Science: a per-row "Double" of the duration, a total over
+// every row, and notes merged across the Lenses and Waves rows
+const formattedSampleFile = () => {
+  const wb = XLSX.utils.book_new();
+  const science = SAMPLE_SHEETS.Science.map((row, index) => [...row, ...(index === 0 ? ['Double', 'Total', 'Notes'] : ['', '', ''])]);
+  const ws = XLSX.utils.aoa_to_sheet(science);
+  science.slice(1).forEach((row, index) => {
+    ws[`F${index + 2}`] = { t: 'n', v: Number(row[4]) * 2, f: `E${index + 2}*2` };
+  });
+  ws.G2 = { t: 'n', v: 54, f: `SUM(E2:E${science.length})` };
+  ws.H4 = { t: 's', v: 'Reviewed' };
+  ws['!merges'] = [XLSX.utils.decode_range('H4:H5')];
+  XLSX.utils.book_append_sheet(wb, ws, 'Science');
+  XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(SAMPLE_SHEETS.Maths), 'Maths');
+  return { name: 'curriculum.xlsx', buffer: XLSX.write(wb, { bookType: 'xlsx', type: 'array' }) };
+};
+
+const createPresetFile = (rules) => ({ type: PRESET_TYPE, version: PRESET_VERSION, name: 'Test preset', rules, knownPaths: [] });
+
+// CSV text of rows, encoded as a file's bytes
+const createCsvBuffer = (rows, delimiter = ',', byteOrderMark = false) =>
+  new TextEncoder().encode((byteOrderMark ? '\uFEFF' : '') + rows.map(row => row.join(delimiter)).join('\r\n')).buffer;
+
+// Tree and rows of the given files (the sample workbook by default), same-named sheets kept apart
+const loadSample = (...files) => {
+  const workbooks = (files.length > 0 ? files : [sampleFile()])
+    .map(file => ({ fileName: file.name, workbook: readWorkbook(file.buffer, file.name) }));
+  const { sheets, sheetSources } = resolveSheetSources(getWorkbookSheets(workbooks));
+  const mappings = getSuggestedMappings(sheets);
+  return buildContent(readSheets(workbooks, mappings, sheetSources), mappings);
+};
+
+// One worksheet (the first by default) of an exported workbook as arrays of cell text
+const readExportedRows = (data, sheetName) => {
+  const wb = XLSX.read(data, { type: 'array' });
+  return XLSX.utils.sheet_to_json(wb.Sheets[sheetName ?? wb.SheetNames[0]], { header: 1, raw: false });
+};
+
+describe('reading workbooks', () => {
+  test('lists every sheet with its headers', () => {
+    const sheets = getWorkbookSheets([{ fileName: 'curriculum.xlsx', workbook: readWorkbook(sampleFile().buffer) }]);
+    assert.deepEqual(sheets.map(sheet => sheet.sheetName), ['Science', 'Maths']);
+    assert.deepEqual(sheets[0].headers, HEADER);
+  });
+
+  test('suggests a four-level mapping from the headers', () => {
+    const mappings = getSuggestedMappings([{ sheetName: 'Science', headers: HEADER }]);
+    assert.deepEqual(mappings.Science, { depth: 4, columns: ['Class', 'Subject', 'Chapter', 'Topic'] });
+  });
+
+  test('builds the hierarchy and keeps rows in worksheet order', () => {
+    const { tree, originalData, qualityIssues } = loadSample();
+    const index = buildPathIndex(tree);
+    assert.ok(index.has(getPathKey(['Science', '7', 'Physics', 'Light', 'Lenses'])));
+    assert.deepEqual(originalData.Science.map(row => row.Topic), ['Mirrors', 'Indicators', 'Lenses', 'Waves', 'Alloys']);
+    assert.deepEqual(qualityIssues, []);
+  });
+
+  test('reads a semicolon CSV with a byte order mark like a one-sheet workbook', () => {
+    const text = '\uFEFF' + SAMPLE_SHEETS.Maths.map(row => row.join(';')).join('\r\n');
+    const workbook = readWorkbook(new TextEncoder().encode(text).buffer, 'maths.csv');
+    const [sheet] = getWorkbookSheets([{ fileName: 'maths.csv', workbook }]);
+    assert.equal(sheet.sheetName, 'maths');
+    assert.deepEqual(sheet.headers, HEADER);
+  });
+
+  test('names CSV sheets after their files, without the date', () => {
+    const sheets = getWorkbookSheets(['maths_2026-09.csv', 'science 30-09-2026.csv', '2026-09.csv'].map(fileName => ({
+      fileName,
+      workbook: readWorkbook(createCsvBuffer(SAMPLE_SHEETS.Maths), fileName)
+    })));
+    assert.deepEqual(sheets.map(sheet => sheet.sheetName), ['maths', 'science', 'Sheet1']);
+  });
+
+  test('reads a JSON array of records', () => {
+    const records = SAMPLE_SHEETS.Maths.slice(1).map(row => Object.fromEntries(HEADER.map((column, i) => [column, row[i]])));
+    const file = { name: 'maths.json', buffer: new TextEncoder().encode(JSON.stringify(records)).buffer };
+    const { data, exportedRowCount } = filterWorkbooks([file], createPresetFile([]));
+    assert.equal(exportedRowCount, 2);
+    assert.deepEqual(readExportedRows(data, 'maths'), SAMPLE_SHEETS.Maths);
+  });
+});
+
+describe('filtering', () => {
+  test('exports only selected rows, in original order', () => {
+    const { tree, originalData } = loadSample();
+    const physicsId = buildPathIndex(tree).get(getPathKey(['Science', '7', 'Physics']));
+    const selection = setNodeChecked(tree, createInitialSelection(tree), physicsId, false);
+
+    const filteredData = getFilteredData(tree, originalData, selection);
+    assert.deepEqual(filteredData.Science.map(row => row.Topic), ['Indicators', 'Waves', 'Alloys']);
+    assert.equal(filteredData.Maths.length, 2);
+    assert.ok(!('_leafId' in filteredData.Science[0]));
+  });
+
+  test('applies facet filters on top of the selection', () => {
+    const { tree, originalData } = loadSample();
+    const filteredData = getFilteredData(tree, originalData, createInitialSelection(tree), {
+      activeFacetFilters: { Duration: new Set(['10', '20']) }
+    });
+    assert.deepEqual(filteredData, {
+      Science: [{ Class: '7', Subject: 'Physics', Chapter: 'Light', Topic: 'Mirrors', Duration: '10' }],
+      Maths: [{ Class: '7', Subject: 'Maths', Chapter: 'Algebra', Topic: 'Equations', Duration: '20' }]
+    });
+  });
+
+  test('writes an Excel workbook with one worksheet per sheet', () => {
+    const { tree, originalData } = loadSample();
+    const { data, extension } = exportContent({ tree, originalRowData: originalData }, createInitialSelection(tree), { format: 'xlsx' });
+    assert.equal(extension, 'xlsx');
+    assert.deepEqual(readExportedRows(data, 'Maths'), SAMPLE_SHEETS.Maths);
+  });
+
+  test('adds the data quality report next to a sheet of the same name', () => {
+    const file = { name: 'checks.xlsx', buffer: createWorkbookBuffer({ 'Data quality': [...SAMPLE_SHEETS.Maths, ['8', 'Maths', 'Geometry', '', '5']] }) };
+    const { tree, originalData, qualityIssues } = loadSample(file);
+    const { data } = exportContent(
+      { tree, originalRowData: originalData, qualityIssues },
+      createInitialSelection(tree),
+      { format: 'xlsx', includeQualityReport: true }
+    );
+    assert.deepEqual(XLSX.read(data, { type: 'array' }).SheetNames, ['Data quality', 'Data quality (2)']);
+    assert.deepEqual(readExportedRows(data, 'Data quality').map(row => row[3]), ['Topic', 'Equations', 'Triangles', '']);
+    assert.equal(readExportedRows(data, 'Data quality (2)')[1][0], 'Missing hierarchy fields');
+  });
+
+  test('adds the manifest next to a sheet of the same name', () => {
+    const { tree, originalData } = loadSample({ name: 'manifest.xlsx', buffer: createWorkbookBuffer({ manifest: SAMPLE_SHEETS.Maths }) });
+    const { data } = exportContent({ tree, originalRowData: originalData }, createInitialSelection(tree), { format: 'xlsx', includeManifest: true });
+    assert.deepEqual(XLSX.read(data, { type: 'array' }).SheetNames, ['manifest', 'Manifest (2)']);
+    assert.deepEqual(readExportedRows(data, 'manifest'), SAMPLE_SHEETS.Maths);
+  });
+
+  test('writes a blank workbook when nothing is selected', () => {
+    const { tree, originalData } = loadSample();
+    const selection = tree.rootIds.reduce((current, sheetId) => setNodeChecked(tree, current, sheetId, false), createInitialSelection(tree));
+    const { data } = exportContent({ tree, originalRowData: originalData }, selection, { format: 'xlsx' });
+    const wb = XLSX.read(data, { type: 'array' });
+    assert.deepEqual(wb.SheetNames, ['Sheet1']);
+    assert.deepEqual(readExportedRows(data), []);
+  });
+
+  test('splits the export into one workbook per class, with an index', () => {
+    const { tree, originalData } = loadSample();
+    const { data, extension } = exportContent(
+      { tree, originalRowData: originalData, sourceFiles: ['curriculum.xlsx'] },
+      createInitialSelection(tree),
+      { format: 'xlsx-split', splitLevel: 1, splitNameTemplate: '{sheet} {class}' }
+    );
+    assert.equal(extension, 'zip');
+
+    const zip = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+    const index = XLSX.utils.sheet_to_json(XLSX.read(XLSX.CFB.find(zip, 'index.xlsx').content).Sheets.Index);
+    assert.deepEqual(index.map(row => [row.File, row.Rows]), [
+      ['Maths 7.xlsx', 1],
+      ['Maths 8.xlsx', 1],
+      ['Science 7.xlsx', 3],
+      ['Science 8.xlsx', 2]
+    ]);
+    assert.deepEqual(readExportedRows(XLSX.CFB.find(zip, 'Science 7.xlsx').content).map(row => row[3]), ['Topic', 'Mirrors', 'Indicators', 'Lenses']);
+  });
+});
+
+describe('original layout export', () => {
+  // Load a file, uncheck `path` and edit one cell, then export in the original layout
+  const exportOriginal = (file, path, { sheetName, rowIndex, column, value }) => {
+    const { tree, originalData } = loadSample(file);
+    const selection = setNodeChecked(tree, createInitialSelection(tree), buildPathIndex(tree).get(getPathKey(path)), false);
+    const edit = { ...createCellEdit(originalData, sheetName, rowIndex, 'Row', column, value), id: 1 };
+    return exportContent(
+      { tree, originalRowData: applyEdit(originalData, edit), originalFiles: [file], sourceFiles: [file.name], edits: [edit] },
+      selection,
+      { format: 'original' }
+    );
+  };
+
+  test('removes deselected rows and shifts formulas and merges below them', () => {
+    const { data, extension } = exportOriginal(formattedSampleFile(), ['Science', '7', 'Chemistry'], {
+      sheetName: 'Science', rowIndex: 3, column: 'Topic', value: 'Sound waves'
+    });
+    assert.equal(extension, 'xlsx');
+
+    const wb = XLSX.read(data, { type: 'array', cellFormula: true });
+    const ws = wb.Sheets.Science;
+    assert.equal(ws['!ref'], 'A1:H5');
+    assert.deepEqual(readExportedRows(data, 'Science').map(row => row[3]), ['Topic', 'Mirrors', 'Lenses', 'Sound waves', 'Alloys']);
+    assert.deepEqual(['F2', 'F3', 'F4', 'F5'].map(address => ws[address].f), ['E2*2', 'E3*2', 'E4*2', 'E5*2']);
+    assert.equal(ws.G2.f, 'SUM(E2:E5)');
+    assert.deepEqual(ws['!merges'].map(merge => XLSX.utils.encode_range(merge)), ['H3:H4']);
+    assert.equal(ws.H3.v, 'Reviewed');
+    assert.deepEqual(readExportedRows(data, 'Maths'), SAMPLE_SHEETS.Maths);
+  });
+
+  test('keeps merges that only lose some of their rows', () => {
+    const { data } = exportOriginal(formattedSampleFile(), ['Science', '7', 'Physics', 'Light', 'Lenses'], {
+      sheetName: 'Science', rowIndex: 0, column: 'Duration', value: '11'
+    });
+    const ws = XLSX.read(data, { type: 'array', cellFormula: true }).Sheets.Science;
+    assert.deepEqual(ws['!merges'].map(merge => XLSX.utils.encode_range(merge)), ['H4']);
+    assert.equal(ws.G2.f, 'SUM(E2:E5)');
+    assert.equal(ws.E2.v, '11');
+  });
+
+  test('writes a CSV source back in its own delimiter and byte order mark', () => {
+    const file = { name: 'export_2026-09.csv', buffer: createCsvBuffer(SAMPLE_SHEETS.Science, ';', true) };
+    const { data, extension } = exportOriginal(file, ['export', '8'], {
+      sheetName: 'export', rowIndex: 0, column: 'Topic', value: 'Plane mirrors; flat'
+    });
+    assert.equal(extension, 'csv');
+    assert.equal(data, '\uFEFF' + [
+      'Class;Subject;Chapter;Topic;Duration',
+      '7;Physics;Light;"Plane mirrors; flat";10',
+      '7;Chemistry;Acids;Indicators;12',
+      '7;Physics;Light;Lenses;8'
+    ].join('\r\n'));
+  });
+});
+
+describe('same-named uploads', () => {
+  const files = [
+    { name: 'content.xlsx', buffer: createWorkbookBuffer({ Science: SAMPLE_SHEETS.Science }) },
+    { name: 'content.xlsx', buffer: createWorkbookBuffer({ Science: [HEADER, ...['V', 'W', 'X', 'Y', 'Z'].map(topic => ['8', 'Biology', 'Cells', topic, '5'])] }) }
+  ];
+  const exportBoth = (options) => {
+    const { tree, originalData } = loadSample(...files);
+    const classId = buildPathIndex(tree).get(getPathKey(['Science (content)', '8']));
+    const selection = setNodeChecked(tree, createInitialSelection(tree), classId, false);
+    const { data } = exportContent(
+      { tree, originalRowData: originalData, originalFiles: files, sourceFiles: files.map(file => file.name) },
+      selection,
+      options
+    );
+    const zip = XLSX.CFB.read(new Uint8Array(data), { type: 'array' });
+    return ['content.xlsx', 'content~2.xlsx'].map(name => readExportedRows(XLSX.CFB.find(zip, name).content).map(row => row[3]));
+  };
+
+  test('remove rows only from the file they came from', () => {
+    assert.deepEqual(exportBoth({ format: 'original' }), [['Topic', 'Mirrors', 'Indicators', 'Lenses'], ['Topic', 'V', 'W', 'X', 'Y', 'Z']]);
+  });
+
+  test('are exported as one workbook each', () => {
+    assert.deepEqual(exportBoth({ format: 'xlsx', perSource: true }), [['Topic', 'Mirrors', 'Indicators', 'Lenses'], ['Topic', 'V', 'W', 'X', 'Y', 'Z']]);
+  });
+});
+
+describe('filterWorkbooks', () => {
+  test('selects with a preset and reports every rule as matched', () => {
+    const preset = createPresetFile([{ path: ['Science', '8'], selected: false }]);
+    const { data, report, exportedRowCount } = filterWorkbooks([sampleFile()], preset);
+    assert.equal(report.missing.length, 0);
+    assert.equal(exportedRowCount, 5);
+    assert.deepEqual(readExportedRows(data, 'Science').map(row => row[3]), ['Topic', 'Mirrors', 'Indicators', 'Lenses']);
+  });
+
+  test('reports preset paths the workbook no longer has', () => {
+    const preset = createPresetFile([{ path: ['Science', '9', 'Biology'], selected: false }]);
+    const { report } = filterWorkbooks([sampleFile()], preset);
+    assert.deepEqual(report.missing.map(rule => rule.path), [['Science', '9', 'Biology']]);
+  });
+
+  test('applies a preset saved from one CSV to the next, differently named one', () => {
+    const { tree } = loadSample({ name: 'export_2026-09.csv', buffer: createCsvBuffer(SAMPLE_SHEETS.Science) });
+    const classId = buildPathIndex(tree).get(getPathKey(['export', '8']));
+    const preset = createPreset('Class 7', tree, setNodeChecked(tree, createInitialSelection(tree), classId, false));
+
+    const nextMonth = { name: 'export_2026-10.csv', buffer: createCsvBuffer([...SAMPLE_SHEETS.Science, ['9', 'Physics', 'Force', 'Friction', '11']]) };
+    const { report, exportedRowCount } = filterWorkbooks([nextMonth], preset);
+    assert.deepEqual(report.missing, []);
+    assert.deepEqual(report.uncovered.map(({ path }) => path), [['export', '9']]);
+    assert.equal(exportedRowCount, 4);
+  });
+
+  test('fails when no sheet can be mapped', () => {
+    const file = { name: 'other.xlsx', buffer: createWorkbookBuffer({ Notes: [['Author', 'Text'], ['A', 'B']] }) };
+    assert.throws(() => filterWorkbooks([file], createPresetFile([])), /No sheet has columns/);
+  });
+});
+
+describe('cmt filter', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cmt-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const inputPath = join(dir, 'in.xlsx');
+  writeFileSync(inputPath, new Uint8Array(sampleFile().buffer));
+  const writePreset = (name, rules) => {
+    const path = join(dir, name);
+    writeFileSync(path, JSON.stringify(createPresetFile(rules)));
+    return path;
+  };
+  const runCli = (...args) => spawnSync(process.execPath, [CLI_PATH, ...args], { encoding: 'utf8' });
+
+  test('writes the filtered workbook', () => {
+    const outputPath = join(dir, 'out.xlsx');
+    const result = runCli('filter', inputPath, '--preset', writePreset('ok.json', [{ path: ['Maths'], selected: false }]), '-o', outputPath);
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(XLSX.read(readFileSync(outputPath)).SheetNames, ['Science']);
+  });
+
+  test('exits with 2 and writes nothing when preset paths do not match', () => {
+    const outputPath = join(dir, 'missing.xlsx');
+    const result = runCli('filter', inputPath, '-p', writePreset('missing.json', [{ path: ['Art'], selected: false }]), '-o', outputPath);
+    assert.equal(result.status, 2);
+    assert.match(result.stderr, /Not in the workbook: Art/);
+    assert.throws(() => readFileSync(outputPath));
+  });
+
+  test('exits with 1 on missing arguments', () => {
+    const result = runCli('filter', inputPath);
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /Usage: cmt filter/);
+  });
+});
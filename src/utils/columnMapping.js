@@ -0,0 +1,151 @@
+import * as XLSX from 'xlsx/xlsx.mjs';
+
+// Hierarchy levels in tree order; a mapping with depth N uses the first N levels
+export const HIERARCHY_LEVELS = [
+  { key: 'class', label: 'Class', plural: 'classes', synonyms: ['class', 'class_name', 'grade', 'standard', 'std', 'level'] },
+  { key: 'subject', label: 'Subject', plural: 'subjects', synonyms: ['subject_name', 'subject', 'course', 'discipline'] },
+  { key: 'chapter', label: 'Chapter', plural: 'chapters', synonyms: ['chapter_name', 'chapter', 'unit', 'lesson', 'module'] },
+  { key: 'topic', label: 'Topic', plural: 'topics', synonyms: ['topic_name', 'topic', 'subtopic', 'concept'] }
+];
+
+const STORAGE_KEY = 'cmt.columnMappings';
+const MIN_SUGGESTION_SCORE = 0.6;
+
+// Lowercase and drop separators so "Subject Name", "subject_name" and "SubjectName" compare equal
+export const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Header row of a worksheet, in column order, skipping blank header cells
+export const getSheetHeaders = (worksheet) => {
+  if (!worksheet || !worksheet['!ref']) return [];
+  const [headerRow = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: '' });
+  return headerRow.map(header => String(header).trim()).filter(Boolean);
+};
+
+// Same set of headers (ignoring order, case and separators) means the same template
+export const getHeaderSignature = (headers) =>
+  [...new Set(headers.map(normalizeHeader))].sort().join('|');
+
+const levenshtein = (a, b) => {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+};
+
+// 1 for an exact synonym, high for containment, otherwise edit-distance similarity
+const scoreHeader = (header, level) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+
+  return level.synonyms.reduce((best, synonym) => {
+    const target = normalizeHeader(synonym);
+    let score;
+    if (normalized === target) {
+      score = 1;
+    } else if (normalized.includes(target) || target.includes(normalized)) {
+      score = 0.8 * Math.min(normalized.length, target.length) / Math.max(normalized.length, target.length) + 0.1;
+    } else {
+      score = 1 - levenshtein(normalized, target) / Math.max(normalized.length, target.length);
+    }
+    return Math.max(best, score);
+  }, 0);
+};
+
+// Suggest one distinct column per level, best matches claimed first
+export const suggestMapping = (headers) => {
+  const candidates = [];
+  HIERARCHY_LEVELS.forEach((level, levelIndex) => {
+    headers.forEach(header => {
+      const score = scoreHeader(header, level);
+      if (score >= MIN_SUGGESTION_SCORE) {
+        candidates.push({ levelIndex, header, score });
+      }
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score);
+
+  const columns = HIERARCHY_LEVELS.map(() => '');
+  const usedHeaders = new Set();
+  candidates.forEach(({ levelIndex, header }) => {
+    if (!columns[levelIndex] && !usedHeaders.has(header)) {
+      columns[levelIndex] = header;
+      usedHeaders.add(header);
+    }
+  });
+
+  // Depth stops at the first level nothing matched, but always keeps at least one level
+  const firstMissing = columns.indexOf('');
+  const depth = firstMissing === -1 ? HIERARCHY_LEVELS.length : Math.max(firstMissing, 1);
+  return { depth, columns };
+};
+
+// A mapping is usable when every level within its depth points at a distinct existing column
+export const isMappingValid = (mapping, headers) => {
+  if (!mapping || mapping.depth < 1 || mapping.depth > HIERARCHY_LEVELS.length) return false;
+  const used = mapping.columns.slice(0, mapping.depth);
+  return used.every(column => column && headers.includes(column)) && new Set(used).size === used.length;
+};
+
+const readSavedMappings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const loadSavedMapping = (signature) => readSavedMappings()[signature] || null;
+
+export const saveMapping = (signature, mapping) => {
+  const saved = readSavedMappings();
+  saved[signature] = { depth: mapping.depth, columns: mapping.columns.slice(0, mapping.depth) };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('Error saving column mapping:', error);
+  }
+};
+
+// Group sheets by header signature so each template is mapped once
+export const detectMappingGroups = (sheetHeaders) => {
+  const groups = new Map();
+
+  sheetHeaders.forEach(({ sheetName, headers }) => {
+    if (headers.length === 0) return;
+
+    const signature = getHeaderSignature(headers);
+    if (!groups.has(signature)) {
+      const saved = loadSavedMapping(signature);
+      const savedIsValid = isMappingValid(saved, headers);
+      const mapping = savedIsValid
+        ? { depth: saved.depth, columns: HIERARCHY_LEVELS.map((_, i) => saved.columns[i] || '') }
+        : suggestMapping(headers);
+      groups.set(signature, { signature, headers, sheetNames: [], mapping, fromSaved: savedIsValid });
+    }
+    groups.get(signature).sheetNames.push(sheetName);
+  });
+
+  return Array.from(groups.values());
+};
+
+// Flatten confirmed groups into a per-sheet lookup for processing
+export const getSheetMappings = (groups) => {
+  const sheetMappings = {};
+  groups.forEach(group => {
+    group.sheetNames.forEach(sheetName => {
+      sheetMappings[sheetName] = group.mapping;
+    });
+  });
+  return sheetMappings;
+};
@@ -0,0 +1,166 @@
+import { getAncestorAtLevel, getSheetNode, isRowNode } from './contentTree.js';
+import { describeNode } from './selectionHistory.js';
+
+// Corrections made in the tool, oldest first:
+//   { id, label, changes: [{ sheetName, rowIndex, column, from, to }] }
+// `sheetName` is the sheet as loaded (a root node name) and `from` the cell value just
+// before the edit. Edits are applied to `originalRowData` as they are made; the list is
+// kept so each one can be reverted and written back to the original layout export.
+
+const getCellKey = ({ sheetName, rowIndex, column }) => JSON.stringify([sheetName, rowIndex, column]);
+
+export const getNextEditId = (edits) => (edits.length > 0 ? edits[edits.length - 1].id + 1 : 1);
+
+// Indices of every row below a hierarchy node, in original order
+const getRowIndicesBelow = (tree, nodeId) => {
+  const rowIndices = [];
+  const stack = [nodeId];
+  while (stack.length > 0) {
+    const node = tree.nodes[stack.pop()];
+    if (node.rowIndices) rowIndices.push(...node.rowIndices);
+    else if (!isRowNode(node)) stack.push(...node.childIds);
+  }
+  return rowIndices.sort((a, b) => a - b);
+};
+
+// Changes that write `values` ({ column: value }) into the given rows, skipping cells
+// that already hold them
+const getChanges = (rows, sheetName, rowIndices, values) =>
+  rowIndices.flatMap(rowIndex => Object.entries(values)
+    .filter(([column, value]) => rows[rowIndex][column] !== value)
+    .map(([column, value]) => ({ sheetName, rowIndex, column, from: rows[rowIndex][column], to: value })));
+
+// Rename a class, subject, chapter or topic by writing the new name into its column
+// in every row below it
+export const createRenameEdit = (tree, originalRowData, nodeId, name) => {
+  const sheetNode = tree.nodes[getAncestorAtLevel(tree, nodeId, 0)];
+  const column = sheetNode.levelColumns[tree.nodes[nodeId].level - 1];
+  return {
+    label: `Renamed ${describeNode(tree, nodeId)} to "${name}"`,
+    changes: getChanges(originalRowData[sheetNode.name], sheetNode.name, getRowIndicesBelow(tree, nodeId), { [column]: name })
+  };
+};
+
+// A node can be moved to another node one level up in the same sheet; classes stay
+// where they are, as their parent is the sheet itself
+export const canMoveNode = (tree, nodeId, parentId) => {
+  const node = tree.nodes[nodeId];
+  const parent = tree.nodes[parentId];
+  return Boolean(node && parent) && !isRowNode(node) && !isRowNode(parent) && node.level >= 2 &&
+    parent.level === node.level - 1 && parentId !== node.parentId &&
+    getAncestorAtLevel(tree, nodeId, 0) === getAncestorAtLevel(tree, parentId, 0);
+};
+
+// Move a node under a new parent by writing the parent's path into the columns above it
+// in every row below it. Rebuilding the tree then merges it with a sibling of the same name.
+export const createMoveEdit = (tree, originalRowData, nodeId, parentId) => {
+  const sheetNode = tree.nodes[getAncestorAtLevel(tree, nodeId, 0)];
+  const values = {};
+  for (let id = parentId; id !== sheetNode.id; id = tree.nodes[id].parentId) {
+    values[sheetNode.levelColumns[tree.nodes[id].level - 1]] = tree.nodes[id].name;
+  }
+  const { name } = tree.nodes[nodeId];
+  const merged = tree.nodes[parentId].childIds.some(childId => tree.nodes[childId].name === name);
+  return {
+    label: `Moved ${describeNode(tree, nodeId)} to ${describeNode(tree, parentId)}${merged ? ` (merged into its "${name}")` : ''}`,
+    changes: getChanges(originalRowData[sheetNode.name], sheetNode.name, getRowIndicesBelow(tree, nodeId), values)
+  };
+};
+
+export const createCellEdit = (originalRowData, sheetName, rowIndex, rowLabel, column, value) => ({
+  label: `${sheetName} › ${rowLabel} › ${column}: "${value}"`,
+  changes: [{ sheetName, rowIndex, column, from: originalRowData[sheetName][rowIndex][column], to: value }]
+});
+
+// Write values into copies of the rows they touch; everything else is shared
+const writeCells = (originalRowData, cells) => {
+  const next = { ...originalRowData };
+  const copiedSheets = new Set();
+  const copiedRows = new Set();
+  cells.forEach(({ sheetName, rowIndex, column, value }) => {
+    if (!copiedSheets.has(sheetName)) {
+      next[sheetName] = [...next[sheetName]];
+      copiedSheets.add(sheetName);
+    }
+    const rowKey = JSON.stringify([sheetName, rowIndex]);
+    if (!copiedRows.has(rowKey)) {
+      next[sheetName][rowIndex] = { ...next[sheetName][rowIndex] };
+      copiedRows.add(rowKey);
+    }
+    next[sheetName][rowIndex][column] = value;
+  });
+  return next;
+};
+
+export const applyEdit = (originalRowData, edit) =>
+  writeCells(originalRowData, edit.changes.map(change => ({ ...change, value: change.to })));
+
+// Undo one edit. A cell that a later edit changed again keeps that later value; otherwise
+// it goes back to what it was before the first edit touching it. The next edit of such a
+// cell takes over the reverted edit's `from`, so undoing it later skips the reverted value.
+export const revertEdit = (originalRowData, edits, editId) => {
+  const changesByCell = new Map();
+  edits.forEach(edit => edit.changes.forEach(change => {
+    const key = getCellKey(change);
+    if (!changesByCell.has(key)) changesByCell.set(key, []);
+    changesByCell.get(key).push({ editId: edit.id, change });
+  }));
+
+  const reverted = edits.find(edit => edit.id === editId);
+  const inheritedFrom = new Map(); // Later change -> the reverted change's `from`
+  const cells = reverted.changes.map(change => {
+    const history = changesByCell.get(getCellKey(change));
+    const position = history.findIndex(entry => entry.editId === editId);
+    if (position < history.length - 1) inheritedFrom.set(history[position + 1].change, change.from);
+    const kept = history.filter(entry => entry.editId !== editId);
+    return { ...change, value: kept.length > 0 ? kept[kept.length - 1].change.to : history[0].change.from };
+  });
+
+  return {
+    originalRowData: writeCells(originalRowData, cells),
+    edits: edits
+      .filter(edit => edit.id !== editId)
+      .map(edit => (!edit.changes.some(change => inheritedFrom.has(change)) ? edit : {
+        ...edit,
+        changes: edit.changes.map(change => (inheritedFrom.has(change) ? { ...change, from: inheritedFrom.get(change) } : change))
+      }))
+  };
+};
+
+// Whether an edit changes hierarchy columns, so the tree has to be rebuilt
+export const editsHierarchy = (tree, edit) =>
+  edit.changes.some(({ sheetName, column }) => getSheetNode(tree, sheetName).levelColumns.includes(column));
+
+// Value a cell had when it was loaded, for every cell an edit has changed: Map(cell key -> value)
+export const getEditedCellOrigins = (edits) => {
+  const origins = new Map();
+  edits.forEach(edit => edit.changes.forEach(change => {
+    const key = getCellKey(change);
+    if (!origins.has(key)) origins.set(key, change.from);
+  }));
+  return origins;
+};
+
+export const isCellEdited = (origins, sheetName, rowIndex, column) =>
+  origins.has(getCellKey({ sheetName, rowIndex, column }));
+
+export const getCellOrigin = (origins, sheetName, rowIndex, column) =>
+  origins.get(getCellKey({ sheetName, rowIndex, column }));
+
+// Cells whose value differs from the upload, per uploaded file (by index in upload order)
+// and worksheet, with 0-based worksheet rows: { fileIndex: { sheetName: [{ row, column, value }] } }
+export const getEditedCells = (tree, originalRowData, edits) => {
+  const editedCells = {};
+  getEditedCellOrigins(edits).forEach((from, key) => {
+    const [sheetName, rowIndex, column] = JSON.parse(key);
+    const row = originalRowData[sheetName][rowIndex];
+    if (row[column] === from) return;
+
+    const sheetNode = getSheetNode(tree, sheetName);
+    if (!editedCells[row._sourceIndex]) editedCells[row._sourceIndex] = {};
+    const fileCells = editedCells[row._sourceIndex];
+    if (!fileCells[row._sourceSheet]) fileCells[row._sourceSheet] = [];
+    fileCells[row._sourceSheet].push({ row: sheetNode.rowNumbers?.[rowIndex] ?? rowIndex + 1, column, value: row[column] });
+  });
+  return editedCells;
+};
@@ -0,0 +1,43 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { applyEdit, createCellEdit, getNextEditId, revertEdit } from './contentEdits.js';
+
+const ROWS = {
+  Science: [
+    { Class: '7', Topic: 'Mirrors', Duration: '10' },
+    { Class: '7', Topic: 'Lenses', Duration: '8' }
+  ]
+};
+
+// Make cell edits one after another, as the tool does: [[rowIndex, column, value]]
+const makeEdits = (cells) => cells.reduce(({ originalRowData, edits }, [rowIndex, column, value]) => {
+  const edit = { ...createCellEdit(originalRowData, 'Science', rowIndex, `Row ${rowIndex + 1}`, column, value), id: getNextEditId(edits) };
+  return { originalRowData: applyEdit(originalRowData, edit), edits: [...edits, edit] };
+}, { originalRowData: ROWS, edits: [] });
+
+describe('revertEdit', () => {
+  test('puts the cell back to its value before the edit', () => {
+    const { originalRowData, edits } = makeEdits([[0, 'Topic', 'Plane mirrors'], [1, 'Duration', '9']]);
+    const reverted = revertEdit(originalRowData, edits, 1);
+    assert.deepEqual(reverted.originalRowData.Science.map(row => row.Topic), ['Mirrors', 'Lenses']);
+    assert.equal(reverted.originalRowData.Science[1].Duration, '9');
+    assert.deepEqual(reverted.edits.map(edit => edit.id), [2]);
+    assert.equal(ROWS.Science[0].Topic, 'Mirrors');
+  });
+
+  test('keeps the later value of a cell edited again after it', () => {
+    const { originalRowData, edits } = makeEdits([[0, 'Topic', 'Plane mirrors'], [0, 'Topic', 'Flat mirrors']]);
+    const withoutFirst = revertEdit(originalRowData, edits, 1);
+    assert.equal(withoutFirst.originalRowData.Science[0].Topic, 'Flat mirrors');
+
+    // ...and reverting the later one too goes back past both
+    const withoutBoth = revertEdit(withoutFirst.originalRowData, withoutFirst.edits, 2);
+    assert.equal(withoutBoth.originalRowData.Science[0].Topic, 'Mirrors');
+    assert.deepEqual(withoutBoth.edits, []);
+  });
+
+  test('goes back to the earlier edit when the later one is reverted', () => {
+    const { originalRowData, edits } = makeEdits([[0, 'Topic', 'Plane mirrors'], [0, 'Topic', 'Flat mirrors']]);
+    assert.equal(revertEdit(originalRowData, edits, 2).originalRowData.Science[0].Topic, 'Plane mirrors');
+  });
+});
@@ -0,0 +1,190 @@
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+
+// How often (in rows) progress is reported while building
+const PROGRESS_INTERVAL = 250;
+
+// Sort classes numerically if they're numbers, otherwise alphabetically
+const compareNames = (a, b) => {
+  const aNum = parseFloat(a);
+  const bNum = parseFloat(b);
+  if (!isNaN(aNum) && !isNaN(bNum)) {
+    return aNum - bNum;
+  }
+  return String(a).localeCompare(String(b));
+};
+
+// Row nodes get IDs derived from their sheet so a row's node can be found without a lookup
+export const getRowNodeId = (sheetId, rowIndex) => `${sheetId}:${rowIndex}`;
+
+export const isRowNode = (node) => node.rowIndex !== undefined;
+
+// Row without the internal fields added while loading (_leafId, _sourceFile, ...)
+export const stripInternalFields = (row) => {
+  const cleanRow = {};
+  Object.keys(row).forEach(key => {
+    if (!key.startsWith('_')) cleanRow[key] = row[key];
+  });
+  return cleanRow;
+};
+
+// 1-based row number in the worksheet; without recorded row numbers, assume a single header row
+export const getWorksheetRowNumber = (sheetNode, rowIndex) =>
+  (sheetNode.rowNumbers?.[rowIndex] ?? rowIndex + 1) + 1;
+
+// Names from the sheet down to the node, e.g. [sheet, class, subject, chapter, topic]
+export const getNodePath = (tree, nodeId) => {
+  const path = [];
+  for (let id = nodeId; id !== null; id = tree.nodes[id].parentId) {
+    path.unshift(tree.nodes[id].name);
+  }
+  return path;
+};
+
+// The node's ancestor (or the node itself) at `level`, where 0 is the sheet
+export const getAncestorAtLevel = (tree, nodeId, level) => {
+  let id = nodeId;
+  while (tree.nodes[id].level > level) id = tree.nodes[id].parentId;
+  return id;
+};
+
+// The root node of the sheet named `sheetName`
+export const getSheetNode = (tree, sheetName) =>
+  tree.nodes[tree.rootIds.find(sheetId => tree.nodes[sheetId].name === sheetName)];
+
+// Unambiguous string form of a path, safe for names containing any separator
+export const getPathKey = (path) => JSON.stringify(path);
+
+// Path key -> node ID for every hierarchy node (rows excluded)
+export const buildPathIndex = (tree) => {
+  const index = new Map();
+  const visit = (nodeId, parentPath) => {
+    const node = tree.nodes[nodeId];
+    if (isRowNode(node)) return;
+    const path = [...parentPath, node.name];
+    index.set(getPathKey(path), nodeId);
+    node.childIds.forEach(childId => visit(childId, path));
+  };
+  tree.rootIds.forEach(rootId => visit(rootId, []));
+  return index;
+};
+
+// Build the node model for every mapped sheet, with empty cell preservation.
+// Nodes are keyed by a generated ID and linked explicitly through parentId/childIds;
+// level 0 is the sheet and level N is HIERARCHY_LEVELS[N - 1]. Leaf hierarchy nodes
+// list their rows in `rowIndices` and have one row node per row as children, kept in
+// original row order. Each row records its leaf in `_leafId`. Sheets may pass the
+// worksheet row number of each row as `rowNumbers`; it is kept on the sheet node.
+// `columns` defaults to the keys of the first row; fields starting with "_" are internal.
+// With `normalizeName` (see normalization.js), siblings whose names share a key are
+// merged and the node shows the most common spelling; rows keep their own values.
+export const buildContentTree = (sheets, sheetMappings, onProgress, normalizeName = null) => {
+  const nodes = {};
+  const rootIds = [];
+  const originalData = {}; // Store original row sequence
+  const totalRows = sheets.reduce((sum, sheet) => sum + sheet.rows.length, 0);
+  let processedRows = 0;
+  let nextId = 0;
+
+  // Name key -> child ID lookups, and how often each spelling was seen, only needed while building
+  const childrenByName = new Map();
+  const spellingCounts = new Map();
+
+  const getOrCreateChild = (parentId, { key, name }, level, sheetName, isLeaf) => {
+    const siblings = childrenByName.get(parentId);
+    if (siblings.has(key)) {
+      const id = siblings.get(key);
+      const counts = spellingCounts.get(id);
+      counts.set(name, (counts.get(name) || 0) + 1);
+      return id;
+    }
+
+    const id = `n${nextId++}`;
+    spellingCounts.set(id, new Map([[name, 1]]));
+    nodes[id] = { id, parentId, level, name, sheetName, childIds: [] };
+    if (isLeaf) {
+      nodes[id].rowIndices = [];
+    } else {
+      childrenByName.set(id, new Map());
+    }
+    nodes[parentId].childIds.push(id);
+    siblings.set(key, id);
+    return id;
+  };
+
+  sheets.forEach(({ name: sheetName, rows, rowNumbers, columns: sheetColumns }) => {
+    const mapping = sheetMappings[sheetName];
+    if (!mapping || rows.length === 0) return;
+    const levelColumns = mapping.columns.slice(0, mapping.depth);
+
+    const sheetId = `n${nextId++}`;
+    const columns = sheetColumns || Object.keys(rows[0]).filter(column => !column.startsWith('_'));
+    nodes[sheetId] = { id: sheetId, parentId: null, level: 0, name: sheetName, sheetName, childIds: [], columns, levelColumns };
+    if (rowNumbers) nodes[sheetId].rowNumbers = rowNumbers;
+    childrenByName.set(sheetId, new Map());
+    rootIds.push(sheetId);
+    originalData[sheetName] = rows;
+
+    rows.forEach((row, rowIndex) => {
+      // Handle hierarchical organization fields - use placeholders for empty values
+      const levelNames = levelColumns.map((column, levelIndex) => {
+        const value = row[column];
+        if (value !== undefined && value !== null && String(value).trim()) {
+          return normalizeName
+            ? normalizeName(value, levelIndex)
+            : { key: String(value).trim(), name: String(value).trim() };
+        }
+        const placeholder = `Unknown ${HIERARCHY_LEVELS[levelIndex].label} ${rowIndex + 1}`;
+        return { key: placeholder, name: placeholder };
+      });
+
+      let nodeId = sheetId;
+      levelNames.forEach((levelName, levelIndex) => {
+        const isLeaf = levelIndex === levelNames.length - 1;
+        nodeId = getOrCreateChild(nodeId, levelName, levelIndex + 1, sheetName, isLeaf);
+      });
+
+      row._leafId = nodeId; // Leaf node used for filtering
+      nodes[nodeId].rowIndices.push(rowIndex);
+
+      const rowId = getRowNodeId(sheetId, rowIndex);
+      nodes[rowId] = {
+        id: rowId,
+        parentId: nodeId,
+        level: levelNames.length + 1,
+        name: `Row ${getWorksheetRowNumber(nodes[sheetId], rowIndex)}`,
+        sheetName,
+        childIds: [],
+        rowIndex
+      };
+      nodes[nodeId].childIds.push(rowId);
+
+      processedRows++;
+      if (onProgress && (processedRows % PROGRESS_INTERVAL === 0 || processedRows === totalRows)) {
+        onProgress({ sheetName, rowNumber: rowIndex + 1, sheetRows: rows.length, processedRows, totalRows });
+      }
+    });
+  });
+
+  // Merged nodes show their most common spelling (the first one seen on ties)
+  spellingCounts.forEach((counts, id) => {
+    if (counts.size < 2) return;
+    let bestCount = 0;
+    counts.forEach((count, name) => {
+      if (count > bestCount) {
+        bestCount = count;
+        nodes[id].name = name;
+      }
+    });
+  });
+
+  // Sort once here so rendering can walk childIds in display order; rows keep their original order
+  Object.values(nodes).forEach(node => {
+    if (node.childIds.length > 1 && !node.rowIndices) {
+      const compare = node.level === 0 ? compareNames : (a, b) => String(a).localeCompare(String(b));
+      node.childIds.sort((a, b) => compare(nodes[a].name, nodes[b].name));
+    }
+  });
+  rootIds.sort((a, b) => nodes[a].name.localeCompare(nodes[b].name)); // Sort categories alphabetically
+
+  return { tree: { nodes, rootIds }, originalData };
+};
@@ -0,0 +1,111 @@
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+import { getAncestorAtLevel, getNodePath, getRowNodeId, getWorksheetRowNumber } from './contentTree.js';
+
+export const ISSUE_TYPES = [
+  { id: 'missing', label: 'Missing hierarchy fields' },
+  { id: 'duplicate', label: 'Duplicate content rows' },
+  { id: 'spelling', label: 'Inconsistent spellings' },
+  { id: 'class', label: 'Non-numeric classes' }
+];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Spellings that only differ by case or whitespace share this key
+const getSpellingKey = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Check the uploaded rows for problems the tree would otherwise hide. Every issue
+// is { type, sheetName, rowNumber, nodeId, path, message }, where rowNumber is the
+// worksheet row and nodeId the node to show for it.
+export const validateContent = (tree, originalRowData) => {
+  const issues = [];
+  const spellings = HIERARCHY_LEVELS.map(() => new Map()); // key -> Map(value -> first occurrence)
+
+  const addIssue = (type, sheetNode, rowIndex, nodeId, message) => {
+    issues.push({
+      type,
+      sheetName: sheetNode.name,
+      rowNumber: getWorksheetRowNumber(sheetNode, rowIndex),
+      nodeId,
+      path: getNodePath(tree, nodeId),
+      message
+    });
+  };
+
+  tree.rootIds.forEach(sheetId => {
+    const sheetNode = tree.nodes[sheetId];
+    const rows = originalRowData[sheetNode.name] || [];
+    const firstRowByContent = new Map();
+    const reportedClasses = new Set();
+
+    rows.forEach((row, rowIndex) => {
+      const rowId = getRowNodeId(sheetId, rowIndex);
+
+      const missing = sheetNode.levelColumns
+        .map((column, levelIndex) => {
+          if (!isBlank(row[column])) return null;
+          const { label } = HIERARCHY_LEVELS[levelIndex];
+          return label.toLowerCase() === column.trim().toLowerCase() ? label : `${label} ("${column}")`;
+        })
+        .filter(Boolean);
+      if (missing.length > 0) {
+        addIssue('missing', sheetNode, rowIndex, rowId, `Missing ${missing.join(', ')}`);
+      }
+
+      const content = JSON.stringify(sheetNode.columns.map(column => row[column]));
+      if (firstRowByContent.has(content)) {
+        const firstRowNumber = getWorksheetRowNumber(sheetNode, firstRowByContent.get(content));
+        addIssue('duplicate', sheetNode, rowIndex, rowId, `Same content as row ${firstRowNumber}`);
+      } else {
+        firstRowByContent.set(content, rowIndex);
+      }
+
+      sheetNode.levelColumns.forEach((column, levelIndex) => {
+        if (isBlank(row[column])) return;
+        const value = String(row[column]);
+        const key = getSpellingKey(value);
+        const variants = spellings[levelIndex].get(key) || new Map();
+        spellings[levelIndex].set(key, variants);
+        const occurrence = variants.get(value);
+        if (occurrence) {
+          occurrence.count++;
+        } else {
+          variants.set(value, { count: 1, sheetNode, rowIndex, nodeId: getAncestorAtLevel(tree, rowId, levelIndex + 1) });
+        }
+      });
+
+      const classValue = String(row[sheetNode.levelColumns[0]] ?? '').trim();
+      if (classValue && !/^\d+$/.test(classValue) && !reportedClasses.has(classValue)) {
+        reportedClasses.add(classValue);
+        addIssue('class', sheetNode, rowIndex, getAncestorAtLevel(tree, rowId, 1), `Class "${classValue}" is not a number`);
+      }
+    });
+  });
+
+  // The most used spelling is taken as the intended one; every other variant is reported once
+  spellings.forEach((keys, levelIndex) => {
+    keys.forEach(variants => {
+      if (variants.size < 2) return;
+      const [preferred, ...others] = Array.from(variants.entries()).sort((a, b) => b[1].count - a[1].count);
+      others.forEach(([value, { count, sheetNode, rowIndex, nodeId }]) => {
+        addIssue(
+          'spelling',
+          sheetNode,
+          rowIndex,
+          nodeId,
+          `${HIERARCHY_LEVELS[levelIndex].label} "${value}" (${count} ${count === 1 ? 'row' : 'rows'}) differs from "${preferred[0]}" only by case or whitespace`
+        );
+      });
+    });
+  });
+
+  return issues;
+};
+
+// Plain rows for writing the report into a worksheet
+export const getQualityReportRows = (issues) => issues.map(issue => ({
+  Issue: ISSUE_TYPES.find(type => type.id === issue.type).label,
+  Sheet: issue.sheetName,
+  Row: issue.rowNumber,
+  Location: issue.path.join(' › '),
+  Details: issue.message
+}));
@@ -0,0 +1,14 @@
+// Save a Blob through a temporary link
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0); // Revoke after the download has started
+};
+
+// Strip characters that are not allowed in file names on common platforms
+export const sanitizeFileName = (name) => String(name).replace(/[\\/:*?"<>|]+/g, '_').trim() || 'untitled';
@@ -0,0 +1,348 @@
+import * as XLSX from 'xlsx/xlsx.mjs';
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+import { getNodePath, getRowNodeId, stripInternalFields } from './contentTree.js';
+import { sanitizeFileName } from './download.js';
+import { exportPreservingOriginal } from './fidelityExport.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'xlsx', label: 'Excel workbook', description: 'One worksheet per sheet', extension: 'xlsx' },
+  { id: 'xlsx-split', label: 'Excel workbooks, split (ZIP)', description: 'One workbook per sheet, class or subject, with an index of what went into each', extension: 'zip' },
+  { id: 'original', label: 'Original workbook layout', description: 'The uploaded file with only the deselected rows removed; formats, widths and merged cells stay as they were', extension: null },
+  { id: 'csv', label: 'CSV, single file', description: 'All sheets in one file, with a sheet column when there are several', extension: 'csv' },
+  { id: 'csv-zip', label: 'CSV per sheet (ZIP)', description: 'One CSV file per sheet', extension: 'zip' },
+  { id: 'json', label: 'Flat JSON', description: 'Rows grouped by sheet', extension: 'json' },
+  { id: 'json-tree', label: 'Hierarchical JSON', description: 'Nested class → subject → chapter → topic', extension: 'json' }
+];
+
+export const DEFAULT_FILE_NAME_TEMPLATE = '{name}_filtered_{date}';
+
+// Levels a split export can make one workbook per; 0 is the sheet
+export const SPLIT_LEVELS = [
+  { level: 0, key: 'sheet', label: 'Sheet' },
+  ...HIERARCHY_LEVELS.slice(0, 2).map((option, index) => ({ level: index + 1, key: option.key, label: option.label }))
+];
+
+export const DEFAULT_SPLIT_NAME_TEMPLATE = '{group}';
+
+const SPLIT_INDEX_FILE_NAME = 'index.xlsx';
+
+const OPTIONS_STORAGE_KEY = 'cmt.exportOptions';
+
+const MIME_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv;charset=utf-8',
+  tsv: 'text/tab-separated-values;charset=utf-8',
+  txt: 'text/plain;charset=utf-8',
+  zip: 'application/zip',
+  json: 'application/json',
+  xlsm: 'application/vnd.ms-excel.sheet.macroEnabled.12',
+  xls: 'application/vnd.ms-excel',
+  xlsb: 'application/vnd.ms-excel.sheet.binary.macroEnabled.12',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+// Formats without a fixed extension keep the uploaded file's
+export const getFormatExtension = (format, sourceName = '') =>
+  format.extension || (/\.([^.]+)$/.exec(sourceName)?.[1] || 'xlsx').toLowerCase();
+
+// Last used export format and file name template
+export const loadExportOptions = () => {
+  try {
+    return { format: 'xlsx', fileNameTemplate: DEFAULT_FILE_NAME_TEMPLATE, ...JSON.parse(localStorage.getItem(OPTIONS_STORAGE_KEY)) };
+  } catch {
+    return { format: 'xlsx', fileNameTemplate: DEFAULT_FILE_NAME_TEMPLATE };
+  }
+};
+
+export const saveExportOptions = (options) => {
+  try {
+    localStorage.setItem(OPTIONS_STORAGE_KEY, JSON.stringify(options));
+  } catch (error) {
+    console.error('Error saving export options:', error);
+  }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Fill {name}, {date} and {time} (plus any extra values) and add the extension
+export const formatFileName = (template, { sourceName = 'export', date = new Date(), values = {} } = {}, extension) => {
+  const tokens = {
+    name: sourceName.replace(/\.[^.]+$/, ''),
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    ...values
+  };
+  const baseName = (template || DEFAULT_FILE_NAME_TEMPLATE).replace(/\{(\w+)\}/g, (token, key) =>
+    key in tokens ? String(tokens[key]) : token
+  );
+  return `${sanitizeFileName(baseName)}.${extension}`;
+};
+
+// File name tokens for one workbook of a split export: {sheet}, {class} and {subject} down
+// to the split level, and {group}, e.g. "Class 7 - Science" (with the sheet when there
+// are several, or when splitting by sheet)
+export const getSplitValues = (tree, nodeId) => {
+  const [sheet, ...names] = getNodePath(tree, nodeId);
+  const values = { sheet };
+  names.forEach((name, index) => {
+    values[SPLIT_LEVELS[index + 1].key] = name;
+  });
+  const parts = names.map((name, index) => (index === 0 ? `${HIERARCHY_LEVELS[0].label} ${name}` : name));
+  values.group = (names.length === 0 || tree.rootIds.length > 1 ? [sheet, ...parts] : parts).join(' - ');
+  return values;
+};
+
+// Worksheet with exact original data preservation and no trailing empty rows
+export const rowsToWorksheet = (rows) => {
+  // Create worksheet with exact same settings as original data
+  const ws = XLSX.utils.json_to_sheet(rows, {
+    defval: '', // Preserve empty cells as empty strings
+    skipHeader: false,
+    dateNF: 'yyyy-mm-dd'
+  });
+
+  // Get the actual data range
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  const actualDataRowCount = rows.length;
+
+  // Ensure all columns are present for actual data rows only
+  for (let row = range.s.r; row <= range.s.r + actualDataRowCount; row++) {
+    for (let col = range.s.c; col <= range.e.c; col++) {
+      const cellAddress = XLSX.utils.encode_cell({ r: row, c: col });
+      if (!ws[cellAddress]) {
+        // Only create empty cell if it's within the actual data range
+        ws[cellAddress] = { t: 's', v: '' };
+      }
+    }
+  }
+
+  // Set the worksheet range to only include actual data (no trailing empty rows)
+  ws['!ref'] = XLSX.utils.encode_range({
+    s: { r: range.s.r, c: range.s.c },
+    e: { r: range.s.r + actualDataRowCount, c: range.e.c }
+  });
+
+  // Remove any cells that are beyond the actual data range
+  Object.keys(ws).forEach(cell => {
+    if (cell.startsWith('!')) return; // Skip metadata
+    const cellRef = XLSX.utils.decode_cell(cell);
+    if (cellRef.r > range.s.r + actualDataRowCount) {
+      delete ws[cell];
+    }
+  });
+
+  return ws;
+};
+
+// Excel sheet names are at most 31 characters, without : \ / ? * [ ], and unique
+const toWorksheetName = (name, usedNames) => {
+  const base = String(name).replace(/[:\\/?*[\]]/g, '_').slice(0, 31) || 'Sheet';
+  let worksheetName = base;
+  for (let copy = 2; usedNames.has(worksheetName.toLowerCase()); copy++) {
+    worksheetName = `${base.slice(0, 31 - String(copy).length - 1)}~${copy}`;
+  }
+  usedNames.add(worksheetName.toLowerCase());
+  return worksheetName;
+};
+
+export const buildWorkbook = (filteredData) => {
+  const wb = XLSX.utils.book_new();
+  const usedNames = new Set();
+  Object.keys(filteredData).forEach(category => {
+    if (filteredData[category].length > 0) {
+      XLSX.utils.book_append_sheet(wb, rowsToWorksheet(filteredData[category]), toWorksheetName(category, usedNames));
+    }
+  });
+  // A workbook needs at least one sheet, so an export of nothing gets a blank one
+  if (wb.SheetNames.length === 0) XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet([]), 'Sheet1');
+  return wb;
+};
+
+// Write with same format as original
+export const writeWorkbook = (wb) => XLSX.write(wb, {
+  bookType: 'xlsx',
+  type: 'array',
+  cellDates: true,
+  sheetStubs: true, // Include empty cells (but only within actual data range)
+  compression: true // Enable compression but preserve data structure
+});
+
+const rowsToCsv = (rows) => XLSX.utils.sheet_to_csv(rowsToWorksheet(rows));
+
+// One CSV for every sheet; with several sheets a leading "sheet" column tells them apart
+const combinedCsv = (filteredData) => {
+  const categories = Object.keys(filteredData);
+  if (categories.length === 1) return rowsToCsv(filteredData[categories[0]]);
+
+  const rows = categories.flatMap(category => filteredData[category].map(row => ({ sheet: category, ...row })));
+  return rows.length > 0 ? rowsToCsv(rows) : '';
+};
+
+// Pack { name, data } files (string or bytes) into a ZIP archive
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const zip = XLSX.CFB.utils.cfb_new();
+  files.forEach(({ name, data }) => {
+    XLSX.CFB.utils.cfb_add(zip, name, typeof data === 'string' ? encoder.encode(data) : new Uint8Array(data));
+  });
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+};
+
+// A name not in `usedNames` (compared ignoring case), numbering repeats as "name~2.xlsx"
+const toUniqueFileName = (fileName, usedNames) => {
+  const [, base, extension] = /^(.*?)(\.[^.]*)?$/.exec(fileName);
+  let uniqueName = fileName;
+  for (let copy = 2; usedNames.has(uniqueName.toLowerCase()); copy++) {
+    uniqueName = `${base}~${copy}${extension || ''}`;
+  }
+  usedNames.add(uniqueName.toLowerCase());
+  return uniqueName;
+};
+
+// One workbook per group of rows ({ values, filteredData }, see getSplitValues), named
+// from `template`, plus an index workbook listing each file's group, sheets and rows
+const createSplitZip = (groups, template, sourceName) => {
+  const date = new Date();
+  const usedNames = new Set([SPLIT_INDEX_FILE_NAME]);
+  const indexRows = [];
+  const files = groups.map(({ values, filteredData }) => {
+    const name = toUniqueFileName(formatFileName(template || DEFAULT_SPLIT_NAME_TEMPLATE, { sourceName, date, values }, 'xlsx'), usedNames);
+    const indexRow = { File: name };
+    SPLIT_LEVELS.forEach(({ key, label }) => {
+      if (key in values) indexRow[label] = values[key];
+    });
+    indexRow.Worksheets = Object.keys(filteredData).join(', ');
+    indexRow.Rows = Object.values(filteredData).reduce((sum, rows) => sum + rows.length, 0);
+    indexRows.push(indexRow);
+    return { name, data: writeWorkbook(buildWorkbook(filteredData)) };
+  });
+
+  const index = indexRows.length > 0 ? indexRows : [{ File: 'Nothing was selected', Worksheets: '', Rows: 0 }];
+  return createZip([{ name: SPLIT_INDEX_FILE_NAME, data: writeWorkbook(buildWorkbook({ Index: index })) }, ...files]);
+};
+
+// Exported rows nested along the tree, e.g. { sheet, classes: [{ class, subjects: [...] }] }
+// down to { topic, rows: [...] }. Branches with nothing exported are left out.
+export const buildHierarchy = (tree, originalRowData, isRowExported) => {
+  const buildNode = (nodeId, sheetId, rows) => {
+    const node = tree.nodes[nodeId];
+    const entry = node.level === 0
+      ? { sheet: node.name }
+      : { [HIERARCHY_LEVELS[node.level - 1].key]: node.name };
+
+    if (node.rowIndices) {
+      const exportedRows = node.rowIndices
+        .filter(rowIndex => isRowExported(getRowNodeId(sheetId, rowIndex), rows[rowIndex]))
+        .map(rowIndex => stripInternalFields(rows[rowIndex]));
+      return exportedRows.length > 0 ? { ...entry, rows: exportedRows } : null;
+    }
+
+    const children = node.childIds.map(childId => buildNode(childId, sheetId, rows)).filter(Boolean);
+    return children.length > 0 ? { ...entry, [HIERARCHY_LEVELS[node.level].plural]: children } : null;
+  };
+
+  return tree.rootIds
+    .map(sheetId => buildNode(sheetId, sheetId, originalRowData[tree.nodes[sheetId].name] || []))
+    .filter(Boolean);
+};
+
+// Worksheet rows (0-based) to drop from each uploaded file, by its index in upload order
+// (names can repeat): { fileIndex: { sheetName: rows } }
+export const getRemovedRows = (tree, originalRowData, isRowExported) => {
+  const removedRows = {};
+  tree.rootIds.forEach(sheetId => {
+    const sheetNode = tree.nodes[sheetId];
+    const rows = originalRowData[sheetNode.name] || [];
+    rows.forEach((row, rowIndex) => {
+      if (!removedRows[row._sourceIndex]) removedRows[row._sourceIndex] = {};
+      const fileRows = removedRows[row._sourceIndex];
+      if (!fileRows[row._sourceSheet]) fileRows[row._sourceSheet] = [];
+      if (!isRowExported(getRowNodeId(sheetId, rowIndex), row)) {
+        fileRows[row._sourceSheet].push(sheetNode.rowNumbers?.[rowIndex] ?? rowIndex + 1);
+      }
+    });
+  });
+  return removedRows;
+};
+
+const getBaseName = (fileName) => sanitizeFileName(fileName.replace(/\.[^.]+$/, ''));
+
+// Produce the file contents for one export format.
+// `getHierarchy` is only called for hierarchical JSON, which needs the tree; a split
+// export calls `getSplitGroups` for its groups and names them with `splitNameTemplate`; the
+// original layout format needs the uploaded files, `getRemovedRows` and (when cells
+// were edited) `getEditedCells`, both keyed by file index. With several uploaded files,
+// `getFilteredDataBySource` ([{ fileName, filteredData }]) turns an Excel export into one
+// workbook per file, and the original layout export is always one file per upload, zipped.
+export const createExport = (format, {
+  filteredData,
+  getHierarchy,
+  getSplitGroups,
+  splitNameTemplate,
+  sourceName,
+  originalFiles,
+  getRemovedRows,
+  getEditedCells,
+  getFilteredDataBySource
+}) => {
+  let { extension } = EXPORT_FORMATS.find(option => option.id === format);
+  let data;
+
+  switch (format) {
+    case 'xlsx':
+      if (getFilteredDataBySource) {
+        const usedNames = new Set();
+        data = createZip(getFilteredDataBySource().map(({ fileName, filteredData: sourceData }) => ({
+          name: toUniqueFileName(`${getBaseName(fileName)}.xlsx`, usedNames),
+          data: writeWorkbook(buildWorkbook(sourceData))
+        })));
+        extension = 'zip';
+      } else {
+        data = writeWorkbook(buildWorkbook(filteredData));
+      }
+      break;
+    case 'xlsx-split':
+      data = createSplitZip(getSplitGroups(), splitNameTemplate, sourceName);
+      break;
+    case 'original': {
+      const removedRows = getRemovedRows();
+      const editedCells = getEditedCells?.() || {};
+      const files = originalFiles.map((file, fileIndex) => ({
+        name: file.name,
+        ...exportPreservingOriginal(file, removedRows[fileIndex] || {}, editedCells[fileIndex] || {})
+      }));
+      if (files.length === 1) {
+        ({ data, extension } = files[0]);
+      } else {
+        const usedNames = new Set();
+        data = createZip(files.map(file => ({
+          name: toUniqueFileName(`${getBaseName(file.name)}.${file.extension}`, usedNames),
+          data: file.data
+        })));
+        extension = 'zip';
+      }
+      break;
+    }
+    case 'csv':
+      data = combinedCsv(filteredData);
+      break;
+    case 'csv-zip': {
+      const usedNames = new Set();
+      data = createZip(Object.keys(filteredData).map(category => ({
+        name: toUniqueFileName(`${sanitizeFileName(category)}.csv`, usedNames),
+        data: rowsToCsv(filteredData[category])
+      })));
+      break;
+    }
+    case 'json':
+      data = JSON.stringify(filteredData, null, 2);
+      break;
+    case 'json-tree':
+      data = JSON.stringify(getHierarchy(), null, 2);
+      break;
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+
+  return { data, extension, mimeType: MIME_TYPES[extension] };
+};
@@ -0,0 +1,111 @@
+import { getRowNodeId } from './contentTree.js';
+
+// Columns with more distinct values than this are treated as free text, not facets
+const MAX_FACET_VALUES = 25;
+
+const getFacetValue = (row, column) => String(row[column] ?? '').trim();
+
+// Non-hierarchy columns with few distinct values, merged by name across sheets.
+// Values are sorted by how many rows use them.
+export const detectFacets = (tree, originalRowData) => {
+  const valueCounts = new Map(); // column -> Map(value -> rows)
+  const excluded = new Set();
+  let totalRows = 0;
+
+  tree.rootIds.forEach(sheetId => {
+    const sheetNode = tree.nodes[sheetId];
+    const rows = originalRowData[sheetNode.name] || [];
+    totalRows += rows.length;
+    sheetNode.levelColumns.forEach(column => excluded.add(column));
+
+    sheetNode.columns.forEach(column => {
+      if (!valueCounts.has(column)) valueCounts.set(column, new Map());
+      const counts = valueCounts.get(column);
+      for (const row of rows) {
+        if (counts.size > MAX_FACET_VALUES) break;
+        const value = getFacetValue(row, column);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    });
+  });
+
+  const facets = [];
+  valueCounts.forEach((counts, column) => {
+    // Skip hierarchy columns, single-valued columns and near-unique ones like IDs or titles
+    if (excluded.has(column) || counts.size < 2 || counts.size > MAX_FACET_VALUES || counts.size > totalRows / 2) return;
+    facets.push({
+      column,
+      values: Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .map(([value, total]) => ({ value, total }))
+    });
+  });
+  return facets;
+};
+
+// Active filters only, as Sets: { column: Set(values) }
+export const getActiveFacetFilters = (facetFilters) => {
+  const active = {};
+  Object.entries(facetFilters).forEach(([column, values]) => {
+    if (values.length > 0) active[column] = new Set(values);
+  });
+  return active;
+};
+
+// Whether two sets of facet filters keep the same rows; empty filters and value order don't count
+export const isSameFacetFilters = (a, b) => {
+  const getKey = (filters) => JSON.stringify(
+    Object.keys(filters)
+      .filter(column => filters[column].length > 0)
+      .sort()
+      .map(column => [column, [...filters[column]].sort()])
+  );
+  return getKey(a) === getKey(b);
+};
+
+// Values within a column are alternatives; columns combine with AND. A filter on a
+// column the row's sheet doesn't have does not apply to it.
+export const rowMatchesFacets = (row, activeFilters, skipColumn = null) => {
+  for (const column in activeFilters) {
+    if (column === skipColumn || !(column in row)) continue;
+    if (!activeFilters[column].has(getFacetValue(row, column))) return false;
+  }
+  return true;
+};
+
+// Counts of what the current tree selection and facet filters will export: rows per
+// node (next to each node's total), and per facet value the rows that selecting it
+// would add (ignoring the value's own column, as usual for facets).
+export const computeExportCounts = (tree, originalRowData, selection, activeFilters, facets) => {
+  const nodeCounts = {};
+  const nodeTotals = {};
+  const facetCounts = {};
+  facets.forEach(({ column }) => {
+    facetCounts[column] = {};
+  });
+
+  tree.rootIds.forEach(sheetId => {
+    const rows = originalRowData[tree.nodes[sheetId].name] || [];
+    rows.forEach((row, rowIndex) => {
+      const rowId = getRowNodeId(sheetId, rowIndex);
+      for (let id = tree.nodes[rowId].parentId; id !== null; id = tree.nodes[id].parentId) {
+        nodeTotals[id] = (nodeTotals[id] || 0) + 1;
+      }
+      if (!selection[rowId]?.checked) return;
+
+      facets.forEach(({ column }) => {
+        if (column in row && rowMatchesFacets(row, activeFilters, column)) {
+          const value = getFacetValue(row, column);
+          facetCounts[column][value] = (facetCounts[column][value] || 0) + 1;
+        }
+      });
+
+      if (!rowMatchesFacets(row, activeFilters)) return;
+      for (let id = tree.nodes[rowId].parentId; id !== null; id = tree.nodes[id].parentId) {
+        nodeCounts[id] = (nodeCounts[id] || 0) + 1;
+      }
+    });
+  });
+
+  return { nodeCounts, nodeTotals, facetCounts };
+};
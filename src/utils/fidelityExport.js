@@ -0,0 +1,452 @@
+import * as XLSX from 'xlsx/xlsx.mjs';
+import { editTextSource, isTextSource, NUMBER_TEXT } from './textSources.js';
+
+// Export that starts from the uploaded file and only removes deselected rows (and writes
+// back cells edited in the tool). For .xlsx the worksheet XML is edited in place, so column
+// order, number and date formats, styles, widths, hidden columns, frozen panes and merged
+// headers are left exactly as they were. Other formats go through SheetJS with styles and
+// formats kept.
+
+export class FidelityExportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FidelityExportError';
+  }
+}
+
+const SHEETJS_BOOK_TYPES = { xls: 'biff8', xlsb: 'xlsb', ods: 'ods' };
+
+const decoder = new TextDecoder();
+const encoder = new TextEncoder();
+
+const decodeXmlText = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+const escapeXmlText = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Maps old 1-based row numbers to new ones once the given rows are gone
+const createRowShifter = (removedRows) => {
+  const sorted = [...new Set(removedRows)].sort((a, b) => a - b);
+  const removed = new Set(sorted);
+
+  const countRemovedBefore = (row) => {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[middle] < row) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  };
+
+  return {
+    isRemoved: (row) => removed.has(row),
+    shift: (row) => row - countRemovedBefore(row),
+    hasRemovals: sorted.length > 0
+  };
+};
+
+// "$B$12" -> { prefix: '$B$', row: 12 }; null for whole-column references like "B"
+const splitRowRef = (ref) => {
+  const match = /^(\$?[A-Z]{0,3}\$?)(\d+)$/.exec(ref);
+  return match ? { prefix: match[1], row: Number(match[2]) } : null;
+};
+
+// Shift an A1 cell or range; null when every row it covered was removed.
+// Range ends on removed rows move inward to the nearest kept row.
+const shiftRange = (ref, shifter) => {
+  const [start, end] = ref.split(':');
+  const first = splitRowRef(start);
+  if (!first) return ref;
+  if (end === undefined) {
+    return shifter.isRemoved(first.row) ? null : `${first.prefix}${shifter.shift(first.row)}`;
+  }
+
+  const last = splitRowRef(end);
+  if (!last) return ref;
+  let startRow = first.row;
+  let endRow = last.row;
+  while (startRow <= endRow && shifter.isRemoved(startRow)) startRow++;
+  while (endRow >= startRow && shifter.isRemoved(endRow)) endRow--;
+  if (startRow > endRow) return null;
+  return `${first.prefix}${shifter.shift(startRow)}:${last.prefix}${shifter.shift(endRow)}`;
+};
+
+const shiftSqref = (sqref, shifter) =>
+  sqref.split(/\s+/).map(ref => shiftRange(ref, shifter)).filter(Boolean).join(' ');
+
+// Best-effort update of same-sheet references in a formula. String literals and
+// references qualified with another sheet's name are left alone.
+const FORMULA_REF = /(^|[^A-Za-z0-9_.!$'\]])(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?)(?![A-Za-z0-9_(!])/g;
+
+const shiftFormula = (xmlText, shifter) => {
+  const usesEntities = xmlText.includes('&quot;');
+  const formula = usesEntities ? xmlText.replace(/&quot;/g, '"') : xmlText;
+  const shifted = formula
+    .split(/("(?:[^"]|"")*")/)
+    .map((part, index) => index % 2 === 1
+      ? part
+      : part.replace(FORMULA_REF, (match, before, ref) => `${before}${shiftRange(ref, shifter) || '#REF!'}`))
+    .join('');
+  return usesEntities ? shifted.replace(/"/g, '&quot;') : shifted;
+};
+
+const replaceAttribute = (attributes, name, value) =>
+  attributes.replace(new RegExp(`(\\s${name}=")[^"]*(")`), `$1${value}$2`);
+
+const getAttribute = (attributes, name) => new RegExp(`\\s${name}="([^"]*)"`).exec(attributes)?.[1];
+
+// Rewrite ref/sqref attributes of an element; drop the element when nothing is left
+const shiftElementRanges = (xml, tagName, attributeName, shifter) => {
+  const element = new RegExp(`<${tagName}\\b([^>]*?)(\\/>|>[\\s\\S]*?<\\/${tagName}>)`, 'g');
+  return xml.replace(element, (match, attributes, rest) => {
+    const value = getAttribute(attributes, attributeName);
+    if (value === undefined) return match;
+    const shifted = attributeName === 'sqref' ? shiftSqref(value, shifter) : shiftRange(value, shifter);
+    if (!shifted) return '';
+    return `<${tagName}${replaceAttribute(attributes, attributeName, shifted)}${rest}`;
+  });
+};
+
+// Fix the count attribute of a container after some of its children were dropped
+const updateCount = (xml, containerName, childName) => {
+  const container = new RegExp(`<${containerName}\\b([^>]*)>([\\s\\S]*?)<\\/${containerName}>`);
+  return xml.replace(container, (match, attributes, content) => {
+    const count = (content.match(new RegExp(`<${childName}\\b`, 'g')) || []).length;
+    if (count === 0) return '';
+    return `<${containerName}${replaceAttribute(attributes, 'count', count)}>${content}</${containerName}>`;
+  });
+};
+
+const shiftRowContent = (content, shifter) => content
+  .replace(/(<c\b[^>]*?\sr=")([A-Z]{1,3})(\d+)(")/g, (match, before, column, row, after) =>
+    `${before}${column}${shifter.shift(Number(row))}${after}`)
+  .replace(/<f\b([^>]*)>([^<]*)<\/f>/g, (match, attributes, text) => {
+    const ref = getAttribute(attributes, 'ref');
+    const shiftedAttributes = ref ? replaceAttribute(attributes, 'ref', shiftRange(ref, shifter) || ref) : attributes;
+    return `<f${shiftedAttributes}>${shiftFormula(text, shifter)}</f>`;
+  });
+
+const CELL_ELEMENT = /<c\b([^>]*?)(?:\/>|>[\s\S]*?<\/c>)/g;
+
+// A cell holding `value`, with the style of the cell it replaces
+const writeCellXml = (ref, attributes, value) => {
+  const style = getAttribute(attributes, 's');
+  const styleAttribute = style ? ` s="${style}"` : '';
+  const type = getAttribute(attributes, 't');
+  const text = String(value ?? '');
+  if (text === '') return `<c r="${ref}"${styleAttribute}/>`;
+  if (attributes && (!type || type === 'n') && NUMBER_TEXT.test(text)) {
+    return `<c r="${ref}"${styleAttribute}><v>${text}</v></c>`;
+  }
+  return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXmlText(text)}</t></is></c>`;
+};
+
+// Set cell values ({ row: 1-based, column: 0-based, value }) in a worksheet part.
+// Existing cells are replaced; missing ones are added in column order.
+export const setCellsInSheetXml = (xml, cells) => {
+  const cellsByRow = new Map();
+  cells.forEach(cell => {
+    if (!cellsByRow.has(cell.row)) cellsByRow.set(cell.row, []);
+    cellsByRow.get(cell.row).push(cell);
+  });
+
+  let previousRow = 0;
+  const rowElement = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+
+  return xml.replace(/(<sheetData\b[^>]*>)([\s\S]*?)(<\/sheetData>)/, (match, open, content, close) => {
+    const rows = content.replace(rowElement, (rowMatch, attributes, rowContent = '') => {
+      const explicitRow = getAttribute(attributes, 'r');
+      const rowNumber = explicitRow ? Number(explicitRow) : previousRow + 1;
+      previousRow = rowNumber;
+      if (!cellsByRow.has(rowNumber)) return rowMatch;
+
+      let newContent = rowContent;
+      cellsByRow.get(rowNumber).forEach(({ column, value }) => {
+        const ref = `${XLSX.utils.encode_col(column)}${rowNumber}`;
+        let found = false;
+        newContent = newContent.replace(CELL_ELEMENT, (cellMatch, cellAttributes) => {
+          if (getAttribute(cellAttributes, 'r') !== ref) return cellMatch;
+          found = true;
+          return writeCellXml(ref, cellAttributes, value);
+        });
+        if (found) return;
+
+        const nextCell = [...newContent.matchAll(CELL_ELEMENT)].find(cellMatch => {
+          const cellRef = getAttribute(cellMatch[1], 'r');
+          return cellRef && XLSX.utils.decode_cell(cellRef).c > column;
+        });
+        const at = nextCell ? nextCell.index : newContent.length;
+        newContent = `${newContent.slice(0, at)}${writeCellXml(ref, '', value)}${newContent.slice(at)}`;
+      });
+      return `<row${attributes}>${newContent}</row>`;
+    });
+    return `${open}${rows}${close}`;
+  });
+};
+
+// Header text -> 0-based column, from the first row of a worksheet
+const getHeaderColumns = (ws) => {
+  const columns = new Map();
+  if (!ws?.['!ref']) return columns;
+  const range = XLSX.utils.decode_range(ws['!ref']);
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const cell = ws[XLSX.utils.encode_cell({ r: range.s.r, c })];
+    const header = cell ? XLSX.utils.format_cell(cell).trim() : '';
+    if (header && !columns.has(header)) columns.set(header, c);
+  }
+  return columns;
+};
+
+// Edited cells ({ row: 0-based, column: header, value }) -> { row: 1-based, column: index, value }
+const resolveEditedCells = (ws, editedCells) => {
+  const headerColumns = getHeaderColumns(ws);
+  return editedCells
+    .filter(cell => headerColumns.has(cell.column))
+    .map(cell => ({ row: cell.row + 1, column: headerColumns.get(cell.column), value: cell.value }));
+};
+
+// Remove rows (1-based) from a worksheet part and renumber everything below them
+export const removeRowsFromSheetXml = (xml, removedRows) => {
+  const shifter = createRowShifter(removedRows);
+  if (!shifter.hasRemovals) return xml;
+
+  let previousRow = 0;
+  const rowElement = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+
+  let result = xml.replace(/(<sheetData\b[^>]*>)([\s\S]*?)(<\/sheetData>)/, (match, open, content, close) => {
+    const rows = content.replace(rowElement, (rowMatch, attributes, rowContent) => {
+      const explicitRow = getAttribute(attributes, 'r');
+      const rowNumber = explicitRow ? Number(explicitRow) : previousRow + 1;
+      previousRow = rowNumber;
+
+      if (shifter.isRemoved(rowNumber)) {
+        if (rowContent && /<f\b[^>]*\st="shared"[^>]*\sref="/.test(rowContent)) {
+          throw new FidelityExportError(
+            `Row ${rowNumber} anchors a shared formula used by other rows and cannot be removed in this mode.`
+          );
+        }
+        return '';
+      }
+
+      const newRow = shifter.shift(rowNumber);
+      const newAttributes = explicitRow ? replaceAttribute(attributes, 'r', newRow) : ` r="${newRow}"${attributes}`;
+      return rowContent === undefined
+        ? `<row${newAttributes}/>`
+        : `<row${newAttributes}>${shiftRowContent(rowContent, shifter)}</row>`;
+    });
+    return `${open}${rows}${close}`;
+  });
+
+  result = shiftElementRanges(result, 'dimension', 'ref', shifter);
+  result = shiftElementRanges(result, 'autoFilter', 'ref', shifter);
+  result = shiftElementRanges(result, 'mergeCell', 'ref', shifter);
+  result = updateCount(result, 'mergeCells', 'mergeCell');
+  result = shiftElementRanges(result, 'hyperlink', 'ref', shifter);
+  result = shiftElementRanges(result, 'conditionalFormatting', 'sqref', shifter);
+  result = shiftElementRanges(result, 'dataValidation', 'sqref', shifter);
+  result = updateCount(result, 'dataValidations', 'dataValidation');
+  result = shiftElementRanges(result, 'ignoredError', 'sqref', shifter);
+  result = updateCount(result, 'ignoredErrors', 'ignoredError');
+  result = result.replace(/<(formula|formula1|formula2)>([^<]*)<\/\1>/g, (match, tag, text) =>
+    `<${tag}>${shiftFormula(text, shifter)}</${tag}>`);
+
+  return result;
+};
+
+const resolvePartPath = (baseDirectory, target) => {
+  if (target.startsWith('/')) return target;
+  const parts = `${baseDirectory}/${target}`.split('/');
+  const resolved = [];
+  parts.forEach(part => {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  });
+  return `/${resolved.join('/')}`;
+};
+
+const readPart = (zip, path) => {
+  const entry = XLSX.CFB.find(zip, path);
+  return entry ? decoder.decode(new Uint8Array(entry.content)) : null;
+};
+
+const writePart = (zip, path, text) => {
+  const entry = XLSX.CFB.find(zip, path);
+  entry.content = encoder.encode(text);
+  entry.size = entry.content.length;
+};
+
+// Id -> target path for the relationships part next to `partPath`
+const readRelationships = (zip, partPath) => {
+  const directory = partPath.slice(0, partPath.lastIndexOf('/'));
+  const fileName = partPath.slice(partPath.lastIndexOf('/') + 1);
+  const rels = readPart(zip, `${directory}/_rels/${fileName}.rels`) || '';
+  const relationships = [];
+  for (const match of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+    relationships.push({
+      id: getAttribute(match[1], 'Id'),
+      type: getAttribute(match[1], 'Type') || '',
+      path: resolvePartPath(directory, getAttribute(match[1], 'Target') || '')
+    });
+  }
+  return relationships;
+};
+
+// The calculation chain lists formula cells by address; Excel rebuilds it when it's missing
+const dropCalcChain = (zip) => {
+  if (!XLSX.CFB.find(zip, '/xl/calcChain.xml')) return;
+  XLSX.CFB.utils.cfb_del(zip, '/xl/calcChain.xml');
+
+  const contentTypes = readPart(zip, '/[Content_Types].xml');
+  writePart(zip, '/[Content_Types].xml', contentTypes.replace(/<Override\b[^>]*PartName="\/xl\/calcChain\.xml"[^>]*\/>/, ''));
+  const workbookRels = readPart(zip, '/xl/_rels/workbook.xml.rels');
+  writePart(zip, '/xl/_rels/workbook.xml.rels', workbookRels.replace(/<Relationship\b[^>]*Target="[^"]*calcChain\.xml"[^>]*\/>/, ''));
+};
+
+const editXlsx = (buffer, removedRowsBySheet, editedCellsBySheet) => {
+  const zip = XLSX.CFB.read(new Uint8Array(buffer), { type: 'buffer' });
+  const workbookXml = readPart(zip, '/xl/workbook.xml');
+  const relationships = readRelationships(zip, '/xl/workbook.xml');
+  // Edited cells are found by their column header, so only the header rows are read
+  const headerBook = Object.keys(editedCellsBySheet).length > 0
+    ? XLSX.read(buffer, { type: 'array', sheetRows: 1, sheets: Object.keys(editedCellsBySheet) })
+    : null;
+  let changed = false;
+
+  for (const match of workbookXml.matchAll(/<sheet\b([^>]*)\/?>/g)) {
+    const sheetName = decodeXmlText(getAttribute(match[1], 'name') || '');
+    const removedRows = removedRowsBySheet[sheetName] || [];
+    const editedCells = editedCellsBySheet[sheetName] || [];
+    if (removedRows.length === 0 && editedCells.length === 0) continue;
+
+    const relationshipId = getAttribute(match[1], 'r:id');
+    const sheetPath = relationships.find(rel => rel.id === relationshipId)?.path;
+    const sheetXml = sheetPath && readPart(zip, sheetPath);
+    if (!sheetXml) {
+      throw new FidelityExportError(`Worksheet "${sheetName}" was not found in the original file.`);
+    }
+    // Edits first, while the rows still have their original numbers
+    const editedXml = editedCells.length > 0
+      ? setCellsInSheetXml(sheetXml, resolveEditedCells(headerBook.Sheets[sheetName], editedCells))
+      : sheetXml;
+    writePart(zip, sheetPath, removeRowsFromSheetXml(editedXml, removedRows));
+
+    // Tables keep their own copy of the range they cover
+    readRelationships(zip, sheetPath)
+      .filter(rel => rel.type.endsWith('/table'))
+      .forEach(rel => {
+        const tableXml = readPart(zip, rel.path);
+        if (!tableXml) return;
+        const shifter = createRowShifter(removedRows);
+        writePart(zip, rel.path, shiftElementRanges(shiftElementRanges(tableXml, 'table', 'ref', shifter), 'autoFilter', 'ref', shifter));
+      });
+    changed = true;
+  }
+
+  if (changed) dropCalcChain(zip);
+  return XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+};
+
+// Shift cells, merges and row properties of a SheetJS worksheet (0-based rows)
+const removeRowsFromWorksheet = (ws, removedRows) => {
+  if (!ws['!ref']) return;
+  const shifter = createRowShifter(removedRows.map(row => row + 1));
+  const range = XLSX.utils.decode_range(ws['!ref']);
+
+  Object.keys(ws)
+    .filter(key => !key.startsWith('!'))
+    .map(address => ({ address, cell: XLSX.utils.decode_cell(address) }))
+    .sort((a, b) => a.cell.r - b.cell.r)
+    .forEach(({ address, cell }) => {
+      const value = ws[address];
+      delete ws[address];
+      if (!shifter.isRemoved(cell.r + 1)) {
+        ws[XLSX.utils.encode_cell({ r: shifter.shift(cell.r + 1) - 1, c: cell.c })] = value;
+      }
+    });
+
+  range.e.r = shifter.shift(range.e.r + 1) - 1;
+  ws['!ref'] = XLSX.utils.encode_range(range);
+
+  if (ws['!merges']) {
+    ws['!merges'] = ws['!merges']
+      .map(merge => shiftRange(XLSX.utils.encode_range(merge), shifter))
+      .filter(Boolean)
+      .map(ref => XLSX.utils.decode_range(ref));
+  }
+  if (ws['!rows']) {
+    ws['!rows'] = ws['!rows'].filter((_, row) => !shifter.isRemoved(row + 1));
+  }
+};
+
+// Set edited cells in a SheetJS worksheet, keeping each cell's style
+const setCellsInWorksheet = (ws, cells) => {
+  cells.forEach(({ row, column, value }) => {
+    const address = XLSX.utils.encode_cell({ r: row - 1, c: column });
+    const previous = ws[address];
+    const text = String(value ?? '');
+    const cell = previous && previous.t === 'n' && NUMBER_TEXT.test(text) ? { t: 'n', v: Number(text) } : { t: 's', v: text };
+    if (previous?.s) cell.s = previous.s;
+    if (previous?.z && cell.t === 'n') cell.z = previous.z;
+    ws[address] = cell;
+  });
+};
+
+const editWithSheetJS = (buffer, removedRowsBySheet, editedCellsBySheet, extension) => {
+  const wb = XLSX.read(buffer, {
+    type: 'array',
+    cellStyles: true,
+    cellFormula: true,
+    cellNF: true,
+    cellDates: false, // Keep dates as serial numbers with their original number format
+    sheetStubs: true
+  });
+  Object.entries(editedCellsBySheet).forEach(([sheetName, editedCells]) => {
+    if (wb.Sheets[sheetName]) {
+      setCellsInWorksheet(wb.Sheets[sheetName], resolveEditedCells(wb.Sheets[sheetName], editedCells));
+    }
+  });
+  Object.entries(removedRowsBySheet).forEach(([sheetName, removedRows]) => {
+    if (wb.Sheets[sheetName] && removedRows.length > 0) {
+      removeRowsFromWorksheet(wb.Sheets[sheetName], removedRows);
+    }
+  });
+  return XLSX.write(wb, { bookType: SHEETJS_BOOK_TYPES[extension] || 'xlsx', type: 'array', cellStyles: true });
+};
+
+const isZip = (buffer) => {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  return bytes[0] === 0x50 && bytes[1] === 0x4b; // "PK"
+};
+
+// `removedRowsBySheet` maps sheet names to 0-based worksheet row indices to drop, and
+// `editedCellsBySheet` to cells to overwrite: [{ row (0-based), column (header), value }].
+// Returns the new file and the extension it should be saved with. CSV and JSON sources are
+// written back as text (see textSources).
+export const exportPreservingOriginal = (originalFile, removedRowsBySheet, editedCellsBySheet = {}) => {
+  if (isTextSource(originalFile.name)) {
+    return editTextSource(originalFile, removedRowsBySheet, editedCellsBySheet);
+  }
+  const extension = (/\.([^.]+)$/.exec(originalFile.name)?.[1] || 'xlsx').toLowerCase();
+
+  if (isZip(originalFile.buffer) && ['xlsx', 'xlsm'].includes(extension)) {
+    const oneBasedRows = {};
+    Object.entries(removedRowsBySheet).forEach(([sheetName, rows]) => {
+      oneBasedRows[sheetName] = rows.map(row => row + 1);
+    });
+    return { data: editXlsx(originalFile.buffer, oneBasedRows, editedCellsBySheet), extension };
+  }
+
+  return {
+    data: editWithSheetJS(originalFile.buffer, removedRowsBySheet, editedCellsBySheet, extension),
+    extension: SHEETJS_BOOK_TYPES[extension] ? extension : 'xlsx'
+  };
+};
@@ -0,0 +1,95 @@
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+import { buildContentTree } from './contentTree.js';
+
+// Rules for treating differently written hierarchy names as the same node. Aliases map
+// a variant to a canonical name, for one level (`level` is a HIERARCHY_LEVELS key) or
+// for every level when `level` is empty.
+export const DEFAULT_NORMALIZATION_RULES = {
+  collapseWhitespace: true,
+  caseFold: true,
+  stripNumbering: false,
+  aliases: [] // [{ level, from, to }]
+};
+
+const STORAGE_KEY = 'cmt.normalizationRules';
+
+// "Ch 1 - ", "Chapter 2: ", "Unit 3.1 ", "4. ", "5) " and the like in front of a name
+const NUMBERING_PREFIX = /^(?:(?:ch(?:apter)?|unit|lesson|topic|part|sec(?:tion)?)\.?\s*)?\d+(?:\.\d+)*\s*(?:[-–—:.)]\s*|\s+)(?=\S)/i;
+
+export const loadNormalizationRules = () => {
+  try {
+    return { ...DEFAULT_NORMALIZATION_RULES, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return { ...DEFAULT_NORMALIZATION_RULES };
+  }
+};
+
+export const saveNormalizationRules = (rules) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Error saving normalization rules:', error);
+  }
+};
+
+// (value, levelIndex) -> { key, name }: names with the same key become one node, and
+// `name` is how this spelling would be displayed. Numbering is never stripped from
+// classes, where the number is the name.
+export const createNameNormalizer = (rules) => {
+  const clean = (value, levelIndex) => {
+    let text = String(value).trim();
+    if (rules.collapseWhitespace) text = text.replace(/\s+/g, ' ');
+    if (rules.stripNumbering && levelIndex > 0) text = text.replace(NUMBERING_PREFIX, '');
+    return text;
+  };
+  const toKey = (text) => rules.caseFold ? text.toLowerCase() : text;
+
+  const aliases = HIERARCHY_LEVELS.map(() => new Map());
+  (rules.aliases || []).forEach(({ level, from, to }) => {
+    if (!String(from).trim() || !String(to).trim()) return;
+    HIERARCHY_LEVELS.forEach((hierarchyLevel, levelIndex) => {
+      if (level && level !== hierarchyLevel.key) return;
+      aliases[levelIndex].set(toKey(clean(from, levelIndex)), String(to).trim());
+    });
+  });
+
+  return (value, levelIndex) => {
+    const cleaned = clean(value, levelIndex);
+    const name = aliases[levelIndex].get(toKey(cleaned)) ?? cleaned;
+    return { key: toKey(name), name };
+  };
+};
+
+// Copy of a row with its non-empty hierarchy cells replaced by the merged node names
+export const getCanonicalRow = (tree, row) => {
+  const canonicalRow = { ...row };
+  let sheetNode = tree.nodes[row._leafId];
+  const names = [];
+  while (sheetNode.parentId !== null) {
+    names.unshift(sheetNode.name);
+    sheetNode = tree.nodes[sheetNode.parentId];
+  }
+  sheetNode.levelColumns.forEach((column, levelIndex) => {
+    if (String(row[column] ?? '').trim()) canonicalRow[column] = names[levelIndex];
+  });
+  return canonicalRow;
+};
+
+// Build a loaded tree again from its own rows, with the same column mappings and new rules
+export const rebuildContentTree = (tree, originalRowData, rules) => {
+  const sheets = tree.rootIds.map(sheetId => {
+    const sheetNode = tree.nodes[sheetId];
+    return {
+      name: sheetNode.name,
+      rows: originalRowData[sheetNode.name].map(row => ({ ...row })),
+      rowNumbers: sheetNode.rowNumbers,
+      columns: sheetNode.columns
+    };
+  });
+  const sheetMappings = {};
+  tree.rootIds.forEach(sheetId => {
+    const { name, levelColumns } = tree.nodes[sheetId];
+    sheetMappings[name] = { depth: levelColumns.length, columns: levelColumns };
+  });
+  return buildContentTree(sheets, sheetMappings, null, createNameNormalizer(rules));
+};
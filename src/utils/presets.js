@@ -0,0 +1,95 @@
+import { buildPathIndex, getNodePath, getPathKey, isRowNode } from './contentTree.js';
+import { applyNodeChecked, createInitialSelection } from './selection.js';
+
+export const PRESET_TYPE = 'cmt-selection-preset';
+export const PRESET_VERSION = 1;
+
+// A preset describes the selection by name paths (sheet/class/subject/chapter/topic),
+// never by internal node IDs, so it can be applied to a later export of the same content.
+// `rules` is the smallest set of uniformly (un)selected branches; `knownPaths` lists every
+// hierarchy path the preset was made from so new content can be told apart on import.
+// Row-level choices are not kept: a partly selected leaf is saved as selected.
+export const createPreset = (name, tree, selection) => {
+  const rules = [];
+  const knownPaths = [];
+
+  const visit = (nodeId, parentPath, parentSelected) => {
+    const node = tree.nodes[nodeId];
+    const path = [...parentPath, node.name];
+    const state = selection[nodeId] || {};
+    const selected = Boolean(state.checked || (node.rowIndices && state.indeterminate));
+    knownPaths.push(path);
+
+    // Mixed branches are described by their children instead
+    if (!node.rowIndices && state.indeterminate) {
+      node.childIds.forEach(childId => visit(childId, path, null));
+      return;
+    }
+    if (selected !== parentSelected) {
+      rules.push({ path, selected });
+    }
+    if (!node.rowIndices) {
+      node.childIds.forEach(childId => visit(childId, path, selected));
+    }
+  };
+  tree.rootIds.forEach(rootId => visit(rootId, [], null));
+
+  return {
+    type: PRESET_TYPE,
+    version: PRESET_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    rules,
+    knownPaths
+  };
+};
+
+export const parsePreset = (text) => {
+  const preset = JSON.parse(text);
+  if (preset?.type !== PRESET_TYPE || !Array.isArray(preset.rules)) {
+    throw new Error('Not a selection preset file');
+  }
+  if (preset.version > PRESET_VERSION) {
+    throw new Error(`Unsupported preset version ${preset.version}`);
+  }
+  return { ...preset, knownPaths: preset.knownPaths || [] };
+};
+
+// Apply a preset to a freshly built tree. Rules apply from the shallowest path down so
+// deeper rules win; content the preset never saw keeps its nearest ruled ancestor's state,
+// or stays selected when no rule covers it. Returns the selection and a match report.
+export const applyPreset = (tree, preset) => {
+  const pathIndex = buildPathIndex(tree);
+  const selection = createInitialSelection(tree);
+  const matched = [];
+  const missing = [];
+
+  [...preset.rules]
+    .sort((a, b) => a.path.length - b.path.length)
+    .forEach(rule => {
+      const nodeId = pathIndex.get(getPathKey(rule.path));
+      if (nodeId === undefined) {
+        missing.push(rule);
+      } else {
+        matched.push(rule);
+        applyNodeChecked(tree, selection, nodeId, rule.selected);
+      }
+    });
+
+  // Report only the top of each new branch, not every node beneath it
+  const knownKeys = new Set(preset.knownPaths.map(getPathKey));
+  const uncovered = [];
+  const visit = (nodeId) => {
+    const node = tree.nodes[nodeId];
+    if (isRowNode(node)) return;
+    const path = getNodePath(tree, nodeId);
+    if (!knownKeys.has(getPathKey(path))) {
+      uncovered.push({ path, selected: Boolean(selection[nodeId]?.checked) });
+      return;
+    }
+    node.childIds.forEach(visit);
+  };
+  tree.rootIds.forEach(visit);
+
+  return { selection, report: { presetName: preset.name, matched, missing, uncovered } };
+};
@@ -0,0 +1,246 @@
+import { HIERARCHY_LEVELS, normalizeHeader } from './columnMapping.js';
+import { getNodePath, getRowNodeId } from './contentTree.js';
+
+// Query syntax:
+//   physics                    any level name or cell containing "physics"
+//   "force and motion"         quoted phrase
+//   /^intro/                   regular expression (case-insensitive unless flags are given)
+//   subject:physics            scoped to a level (sheet, class, subject, chapter, topic) or a column
+//   file:cbse                  rows from an uploaded file whose name contains "cbse"
+//   a b, a AND b               both; a OR b either; NOT a, -a negation; ( ) grouping
+
+export class SearchSyntaxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SearchSyntaxError';
+  }
+}
+
+// Level fields map to positions in a row's path: 0 is the sheet, then each hierarchy level
+const LEVEL_FIELDS = new Map([
+  ['sheet', 0],
+  ...HIERARCHY_LEVELS.flatMap((level, i) => [[normalizeHeader(level.key), i + 1], [normalizeHeader(level.label), i + 1]])
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createMatcher = (kind, text, flags = '') => {
+  if (kind === 'regex') {
+    try {
+      // Stateful flags would make repeated test() calls skip matches
+      return { kind, source: text, regex: new RegExp(text, flags.replace(/[gy]/g, '') || 'i') };
+    } catch {
+      throw new SearchSyntaxError(`Invalid regular expression /${text}/`);
+    }
+  }
+  return { kind, source: text, regex: new RegExp(escapeRegExp(text), 'i') };
+};
+
+const tokenize = (input) => {
+  const tokens = [];
+  let i = 0;
+
+  // Reads a quoted phrase, a /regex/flags or a bare word starting at i
+  const readValue = () => {
+    if (input[i] === '"') {
+      const end = input.indexOf('"', i + 1);
+      if (end === -1) throw new SearchSyntaxError('Unclosed quote');
+      const text = input.slice(i + 1, end);
+      i = end + 1;
+      return createMatcher('text', text);
+    }
+    if (input[i] === '/') {
+      let end = i + 1;
+      while (end < input.length && input[end] !== '/') {
+        end += input[end] === '\\' ? 2 : 1;
+      }
+      if (end >= input.length) throw new SearchSyntaxError('Unclosed regular expression');
+      const source = input.slice(i + 1, end);
+      const flags = /^[a-z]*/.exec(input.slice(end + 1))[0];
+      i = end + 1 + flags.length;
+      return createMatcher('regex', source, flags);
+    }
+    const match = /^[^\s()"]+/.exec(input.slice(i));
+    if (!match) throw new SearchSyntaxError(`Expected a search term at position ${i + 1}`);
+    i += match[0].length;
+    return createMatcher('text', match[0]);
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      i++;
+    } else if (char === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+    } else {
+      const word = /^[^\s()"/:]+/.exec(input.slice(i))?.[0] || '';
+      if (['AND', 'OR', 'NOT'].includes(word) && (i + word.length === input.length || /[\s(]/.test(input[i + word.length]))) {
+        tokens.push({ type: word });
+        i += word.length;
+      } else if (word && input[i + word.length] === ':') {
+        i += word.length + 1;
+        tokens.push({ type: 'term', field: normalizeHeader(word), matcher: readValue() });
+      } else {
+        tokens.push({ type: 'term', field: null, matcher: readValue() });
+      }
+    }
+  }
+  return tokens;
+};
+
+// Recursive descent: OR binds loosest, then AND (explicit or implied), then NOT
+export const parseSearchQuery = (input) => {
+  const tokens = tokenize(input);
+  let position = 0;
+
+  const peek = () => tokens[position];
+
+  const parseOr = () => {
+    const items = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      position++;
+      items.push(parseAnd());
+    }
+    return items.length === 1 ? items[0] : { type: 'or', items };
+  };
+
+  const parseAnd = () => {
+    const items = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') position++;
+      items.push(parseUnary());
+    }
+    return items.length === 1 ? items[0] : { type: 'and', items };
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+    if (!token) throw new SearchSyntaxError('Query ends unexpectedly');
+    if (token.type === 'NOT') {
+      position++;
+      return { type: 'not', item: parseUnary() };
+    }
+    if (token.type === '(') {
+      position++;
+      const expression = parseOr();
+      if (peek()?.type !== ')') throw new SearchSyntaxError('Missing closing parenthesis');
+      position++;
+      return expression;
+    }
+    if (token.type === 'term') {
+      position++;
+      return token;
+    }
+    throw new SearchSyntaxError(`Unexpected ${token.type}`);
+  };
+
+  if (tokens.length === 0) return null;
+  const expression = parseOr();
+  if (position < tokens.length) throw new SearchSyntaxError(`Unexpected ${peek().type}`);
+  return expression;
+};
+
+const evaluate = (expression, getValues) => {
+  switch (expression.type) {
+    case 'and':
+      return expression.items.every(item => evaluate(item, getValues));
+    case 'or':
+      return expression.items.some(item => evaluate(item, getValues));
+    case 'not':
+      return !evaluate(expression.item, getValues);
+    default:
+      return getValues(expression.field).some(value => expression.matcher.regex.test(value));
+  }
+};
+
+// Rows matching the query, plus every node that has to stay visible to reach them.
+// A row is matched against its own cells and the names along its path.
+export const searchRows = (tree, originalRowData, expression) => {
+  const matchedRowIds = new Set();
+  const visibleNodeIds = new Set();
+  const pathCache = new Map();
+
+  const getLeafPath = (leafId) => {
+    if (!pathCache.has(leafId)) pathCache.set(leafId, getNodePath(tree, leafId));
+    return pathCache.get(leafId);
+  };
+
+  tree.rootIds.forEach(sheetId => {
+    const sheetNode = tree.nodes[sheetId];
+    const rows = originalRowData[sheetNode.name] || [];
+
+    // Normalized field name -> columns it refers to
+    const columnsByField = new Map();
+    sheetNode.columns.forEach(column => {
+      const field = normalizeHeader(column);
+      columnsByField.set(field, [...(columnsByField.get(field) || []), column]);
+    });
+
+    rows.forEach((row, rowIndex) => {
+      const path = getLeafPath(row._leafId);
+      const getValues = (field) => {
+        if (field === null) {
+          return [...path, ...sheetNode.columns.map(column => String(row[column] ?? ''))];
+        }
+        const values = [];
+        if (LEVEL_FIELDS.has(field) && path[LEVEL_FIELDS.get(field)] !== undefined) {
+          values.push(path[LEVEL_FIELDS.get(field)]);
+        }
+        (columnsByField.get(field) || []).forEach(column => values.push(String(row[column] ?? '')));
+        if (field === 'file' && row._sourceFile) values.push(row._sourceFile);
+        return values;
+      };
+
+      if (!evaluate(expression, getValues)) return;
+
+      const rowId = getRowNodeId(sheetId, rowIndex);
+      matchedRowIds.add(rowId);
+      for (let id = rowId; id !== null && !visibleNodeIds.has(id); id = tree.nodes[id].parentId) {
+        visibleNodeIds.add(id);
+      }
+    });
+  });
+
+  return { matchedRowIds, visibleNodeIds };
+};
+
+// Terms worth highlighting: everything not under a NOT
+export const getHighlightTerms = (expression, negated = false) => {
+  if (!expression) return [];
+  if (expression.type === 'not') return getHighlightTerms(expression.item, !negated);
+  if (expression.type === 'and' || expression.type === 'or') {
+    return expression.items.flatMap(item => getHighlightTerms(item, negated));
+  }
+  return negated ? [] : [expression];
+};
+
+// Merged [start, end) ranges of `text` matched by terms that apply to the given field
+export const findHighlightRanges = (terms, text, field) => {
+  const normalizedField = normalizeHeader(field);
+  const ranges = [];
+
+  terms.forEach(term => {
+    if (term.field !== null && term.field !== normalizedField) return;
+    const regex = new RegExp(term.matcher.regex.source, term.matcher.regex.flags.replace('g', '') + 'g');
+    for (const match of text.matchAll(regex)) {
+      if (match[0].length > 0) {
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+    }
+  });
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push(range);
+    }
+    return merged;
+  }, []);
+};
@@ -0,0 +1,115 @@
+import { getRowNodeId } from './contentTree.js';
+
+// Selection state is a map of node ID -> { checked, indeterminate }, derived from the node model
+
+const CHECKED = { checked: true, indeterminate: false };
+const UNCHECKED = { checked: false, indeterminate: false };
+const INDETERMINATE = { checked: false, indeterminate: true };
+
+// Everything starts selected
+export const createInitialSelection = (tree) => {
+  const selection = {};
+  Object.keys(tree.nodes).forEach(id => {
+    selection[id] = CHECKED;
+  });
+  return selection;
+};
+
+// Parent state from its children: all checked, none checked, or mixed
+export const getParentState = (node, selection) => {
+  let checkedCount = 0;
+  let partial = false;
+  node.childIds.forEach(childId => {
+    const state = selection[childId];
+    if (state?.checked) {
+      checkedCount++;
+    } else if (state?.indeterminate) {
+      partial = true;
+    }
+  });
+
+  if (checkedCount === node.childIds.length) return CHECKED;
+  if (checkedCount > 0 || partial) return INDETERMINATE;
+  return UNCHECKED;
+};
+
+// Recompute every ancestor of a node, nearest first
+export const updateAncestors = (tree, selection, nodeId) => {
+  let parentId = tree.nodes[nodeId].parentId;
+  while (parentId !== null) {
+    const parent = tree.nodes[parentId];
+    selection[parentId] = getParentState(parent, selection);
+    parentId = parent.parentId;
+  }
+};
+
+const applySubtreeState = (tree, selection, nodeId, state) => {
+  const stack = [nodeId];
+  while (stack.length > 0) {
+    const id = stack.pop();
+    selection[id] = state;
+    tree.nodes[id].childIds.forEach(childId => stack.push(childId));
+  }
+};
+
+// Check or uncheck a node with its whole subtree and refresh its ancestors, in place
+export const applyNodeChecked = (tree, selection, nodeId, checked) => {
+  applySubtreeState(tree, selection, nodeId, checked ? CHECKED : UNCHECKED);
+  updateAncestors(tree, selection, nodeId);
+};
+
+// Immutable version of applyNodeChecked; the selection passed in is left untouched
+export const setNodeChecked = (tree, selection, nodeId, checked) => {
+  const nextSelection = { ...selection };
+  applyNodeChecked(tree, nextSelection, nodeId, checked);
+  return nextSelection;
+};
+
+// Check or uncheck many nodes at once. Shared ancestors are recomputed once each,
+// deepest first, instead of once per node.
+export const setNodesChecked = (tree, selection, nodeIds, checked) => {
+  const nextSelection = { ...selection };
+  const state = checked ? CHECKED : UNCHECKED;
+  const ancestorIds = new Set();
+
+  nodeIds.forEach(nodeId => {
+    applySubtreeState(tree, nextSelection, nodeId, state);
+    for (let id = tree.nodes[nodeId].parentId; id !== null && !ancestorIds.has(id); id = tree.nodes[id].parentId) {
+      ancestorIds.add(id);
+    }
+  });
+
+  Array.from(ancestorIds)
+    .sort((a, b) => tree.nodes[b].level - tree.nodes[a].level)
+    .forEach(id => {
+      nextSelection[id] = getParentState(tree.nodes[id], nextSelection);
+    });
+  return nextSelection;
+};
+
+// Whether two selections of the same tree check the same nodes, whatever their identity
+export const isSameSelection = (tree, a, b) =>
+  a === b || Object.keys(tree.nodes).every(id => Boolean(a[id]?.checked) === Boolean(b[id]?.checked));
+
+// Selection for a tree rebuilt from the same rows: each row keeps its state, matched
+// by sheet name and row index, and the hierarchy is derived from the rows again
+export const carryRowSelection = (previousTree, previousSelection, tree) => {
+  const previousSheetIds = new Map(previousTree.rootIds.map(id => [previousTree.nodes[id].name, id]));
+  const uncheckedRowIds = [];
+  tree.rootIds.forEach(sheetId => {
+    const previousSheetId = previousSheetIds.get(tree.nodes[sheetId].name);
+    const visit = (nodeId) => {
+      const node = tree.nodes[nodeId];
+      if (node.rowIndices) {
+        node.childIds.forEach(rowId => {
+          const previousRowId = getRowNodeId(previousSheetId, tree.nodes[rowId].rowIndex);
+          if (!previousSelection[previousRowId]?.checked) uncheckedRowIds.push(rowId);
+        });
+        return;
+      }
+      node.childIds.forEach(visit);
+    };
+    visit(sheetId);
+  });
+  return setNodesChecked(tree, createInitialSelection(tree), uncheckedRowIds, false);
+};
@@ -0,0 +1,129 @@
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+import { getNodePath, getRowNodeId, isRowNode } from './contentTree.js';
+import { carryRowSelection, getParentState } from './selection.js';
+
+// Undo history over selection states. Only the current selection is kept whole; each
+// entry records the nodes its change touched as [nodeId, before, after], so a click on a
+// large workbook costs its changed nodes rather than a copy of the whole selection:
+//   { selection, entries: [{ label, changes }], index } where `index` is current.
+// The history is capped by entries and by the changes they hold in total.
+const MAX_HISTORY_ENTRIES = 100;
+const MAX_HISTORY_CHANGES = 500000;
+
+export const createHistory = (selection, label) => ({ selection, entries: [{ label, changes: [] }], index: 0 });
+
+export const getCurrentSelection = (history) => history.selection;
+
+// Nodes whose state differs between two selections of the same tree, as [nodeId, before,
+// after]. States are shared objects (see selection.js), so comparing references is enough.
+// A history only ever holds selections of one tree; a rebuilt tree goes through carryHistory.
+const diffSelections = (before, after) => {
+  const changes = [];
+  for (const id in after) {
+    if (before[id] !== after[id]) changes.push([id, before[id], after[id]]);
+  }
+  return changes;
+};
+
+const setState = (selection, id, state) => {
+  if (state === undefined) delete selection[id];
+  else selection[id] = state;
+};
+
+// Add a new state after the current one; anything that was undone is dropped
+export const pushHistory = (history, selection, label) => {
+  if (selection === getCurrentSelection(history)) return history;
+  const changes = diffSelections(history.selection, selection);
+  if (changes.length === 0) return history;
+
+  const entries = [...history.entries.slice(0, history.index + 1), { label, changes }];
+  let changeCount = entries.reduce((sum, entry) => sum + entry.changes.length, 0);
+  let dropped = 0;
+  while (entries.length - dropped > 1 &&
+    (entries.length - dropped > MAX_HISTORY_ENTRIES || changeCount > MAX_HISTORY_CHANGES)) {
+    dropped++;
+    changeCount -= entries[dropped].changes.length;
+  }
+  // The oldest entry kept becomes the starting point, with nothing before it to undo to
+  const kept = entries.slice(dropped);
+  if (dropped > 0) kept[0] = { ...kept[0], changes: [] };
+  return { selection, entries: kept, index: kept.length - 1 };
+};
+
+export const canUndo = (history) => history.index > 0;
+
+export const canRedo = (history) => history.index < history.entries.length - 1;
+
+export const jumpToHistory = (history, index) => {
+  if (index < 0 || index >= history.entries.length || index === history.index) return history;
+  const selection = { ...history.selection };
+  for (let i = history.index; i > index; i--) {
+    history.entries[i].changes.forEach(([id, before]) => setState(selection, id, before));
+  }
+  for (let i = history.index + 1; i <= index; i++) {
+    history.entries[i].changes.forEach(([id, , after]) => setState(selection, id, after));
+  }
+  return { ...history, selection, index };
+};
+
+// The same history for a tree rebuilt from the same rows, where node ids change. The current
+// selection is carried over with carryRowSelection; each entry keeps the row states it
+// changed, and the states of their ancestors in the new tree are worked out again.
+export const carryHistory = (history, previousTree, tree) => {
+  const selection = carryRowSelection(previousTree, history.selection, tree);
+  const sheetIds = new Map(tree.rootIds.map(id => [tree.nodes[id].name, id]));
+
+  // Replay the row changes of the entries at `indices`, in order from the current selection,
+  // with `pick` choosing each row's state; returns what changed in the new tree per step
+  const replay = (indices, pick) => {
+    const working = { ...selection };
+    return indices.map(i => {
+      const changedIds = new Set();
+      const before = new Map();
+      const remember = (id) => {
+        if (!before.has(id)) before.set(id, working[id]);
+        changedIds.add(id);
+      };
+      const ancestorIds = new Set();
+      history.entries[i].changes.forEach(change => {
+        const previousNode = previousTree.nodes[change[0]];
+        if (!previousNode || !isRowNode(previousNode)) return;
+        const rowId = getRowNodeId(sheetIds.get(previousNode.sheetName), previousNode.rowIndex);
+        if (!tree.nodes[rowId]) return;
+        remember(rowId);
+        working[rowId] = pick(change);
+        for (let id = tree.nodes[rowId].parentId; id !== null; id = tree.nodes[id].parentId) ancestorIds.add(id);
+      });
+      Array.from(ancestorIds)
+        .sort((a, b) => tree.nodes[b].level - tree.nodes[a].level)
+        .forEach(id => {
+          remember(id);
+          working[id] = getParentState(tree.nodes[id], working);
+        });
+      return Array.from(changedIds)
+        .filter(id => before.get(id) !== working[id])
+        .map(id => [id, before.get(id), working[id]]);
+    });
+  };
+
+  const entries = history.entries.map(entry => ({ ...entry, changes: [] }));
+  // Undoing entry i moves to its "before" states; the entry records the reverse step
+  const undone = replay(history.entries.map((entry, i) => i).filter(i => i > 0 && i <= history.index).reverse(), change => change[1]);
+  undone.forEach((changes, offset) => {
+    entries[history.index - offset].changes = changes.map(([id, after, before]) => [id, before, after]);
+  });
+  const redone = replay(history.entries.map((entry, i) => i).filter(i => i > history.index), change => change[2]);
+  redone.forEach((changes, offset) => {
+    entries[history.index + 1 + offset].changes = changes;
+  });
+  return { selection, entries, index: history.index };
+};
+
+// "Class 7 › Science", with the sheet in front when there are several
+export const describeNode = (tree, nodeId) => {
+  const path = getNodePath(tree, nodeId);
+  const [sheetName, className, ...rest] = path;
+  if (path.length === 1) return sheetName;
+  const parts = [`${HIERARCHY_LEVELS[0].label} ${className}`, ...rest];
+  return (tree.rootIds.length > 1 ? [sheetName, ...parts] : parts).join(' › ');
+};
@@ -0,0 +1,53 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { buildContentTree, buildPathIndex, getPathKey } from './contentTree.js';
+import { createInitialSelection, isSameSelection, setNodeChecked } from './selection.js';
+import { carryHistory, createHistory, getCurrentSelection, jumpToHistory, pushHistory } from './selectionHistory.js';
+
+const MAPPING = { depth: 4, columns: ['Class', 'Subject', 'Chapter', 'Topic'] };
+
+const buildTree = (rows) => buildContentTree([{ name: 'Science', rows, columns: MAPPING.columns }], { Science: MAPPING }).tree;
+
+const ROWS = [
+  { Class: '7', Subject: 'Physics', Chapter: 'Light', Topic: 'Mirrors' },
+  { Class: '7', Subject: 'Physics', Chapter: 'Light', Topic: 'Lenses' },
+  { Class: '8', Subject: 'Physics', Chapter: 'Sound', Topic: 'Waves' }
+];
+
+const uncheck = (tree, history, path) =>
+  pushHistory(history, setNodeChecked(tree, getCurrentSelection(history), buildPathIndex(tree).get(getPathKey(path)), false), 'Unchecked');
+
+describe('selection history', () => {
+  test('keeps only the changed nodes and restores whole selections on undo and redo', () => {
+    const tree = buildTree(ROWS);
+    const initial = createInitialSelection(tree);
+    let history = uncheck(tree, createHistory(initial, 'Loaded'), ['Science', '7', 'Physics', 'Light', 'Lenses']);
+    const afterFirst = getCurrentSelection(history);
+    history = uncheck(tree, history, ['Science', '8']);
+
+    // Lenses and its row, then its chapter, subject, class and sheet, now mixed
+    assert.equal(history.entries[1].changes.length, 6);
+    assert.ok(isSameSelection(tree, getCurrentSelection(jumpToHistory(history, 0)), initial));
+    assert.ok(isSameSelection(tree, getCurrentSelection(jumpToHistory(jumpToHistory(history, 0), 1)), afterFirst));
+  });
+
+  test('carries undone and redoable entries over to a rebuilt tree', () => {
+    const tree = buildTree(ROWS);
+    let history = uncheck(tree, createHistory(createInitialSelection(tree), 'Loaded'), ['Science', '7', 'Physics', 'Light', 'Mirrors']);
+    history = jumpToHistory(uncheck(tree, history, ['Science', '8']), 1);
+
+    // Renaming a chapter rebuilds the tree with new node ids
+    const renamedTree = buildTree(ROWS.map(row => (row.Chapter === 'Light' ? { ...row, Chapter: 'Optics' } : row)));
+    const carried = carryHistory(history, tree, renamedTree);
+    const index = buildPathIndex(renamedTree);
+    const isChecked = (selection, path) => Boolean(selection[index.get(getPathKey(path))]?.checked);
+
+    assert.equal(isChecked(getCurrentSelection(carried), ['Science', '7', 'Physics', 'Optics', 'Mirrors']), false);
+    assert.equal(isChecked(getCurrentSelection(carried), ['Science', '8']), true);
+    const undone = getCurrentSelection(jumpToHistory(carried, 0));
+    assert.equal(isChecked(undone, ['Science', '7', 'Physics', 'Optics']), true);
+    const redone = getCurrentSelection(jumpToHistory(carried, 2));
+    assert.equal(isChecked(redone, ['Science', '8']), false);
+    assert.equal(redone[index.get(getPathKey(['Science']))].indeterminate, true);
+  });
+});
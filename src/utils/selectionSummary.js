@@ -0,0 +1,65 @@
+import { HIERARCHY_LEVELS } from './columnMapping.js';
+import { getNodePath } from './contentTree.js';
+
+// What an export will contain, from the row counts of computeExportCounts:
+//   sheets: [{ nodeId, name, exported, total }] rows per sheet
+//   levels: [{ label, exported, total }] nodes per hierarchy level with at least one
+//     exported row, then the rows themselves
+//   excluded: [{ nodeId, path, status, exported, total }] the top-most branches left out
+//     entirely ('excluded'), and the lowest hierarchy nodes that lose some rows ('partial')
+export const summarizeSelection = (tree, exportCounts) => {
+  const { nodeCounts, nodeTotals } = exportCounts;
+  const levels = HIERARCHY_LEVELS.map(({ label }) => ({ label, exported: 0, total: 0 }));
+  const rows = { label: 'Row', exported: 0, total: 0 };
+  const excluded = [];
+
+  const sheets = tree.rootIds.map(sheetId => {
+    const exported = nodeCounts[sheetId] || 0;
+    const total = nodeTotals[sheetId] || 0;
+    rows.exported += exported;
+    rows.total += total;
+    return { nodeId: sheetId, name: tree.nodes[sheetId].name, exported, total };
+  });
+
+  const visit = (nodeId, branchExcluded) => {
+    const node = tree.nodes[nodeId];
+    const exported = nodeCounts[nodeId] || 0;
+    const total = nodeTotals[nodeId] || 0;
+    if (node.level > 0) {
+      levels[node.level - 1].total += 1;
+      if (exported > 0) levels[node.level - 1].exported += 1;
+    }
+
+    let excludedHere = branchExcluded;
+    if (!branchExcluded && exported < total) {
+      if (exported === 0) {
+        excluded.push({ nodeId, path: getNodePath(tree, nodeId), status: 'excluded', exported, total });
+        excludedHere = true;
+      } else if (node.rowIndices) {
+        excluded.push({ nodeId, path: getNodePath(tree, nodeId), status: 'partial', exported, total });
+      }
+    }
+    if (!node.rowIndices) node.childIds.forEach(childId => visit(childId, excludedHere));
+  };
+  tree.rootIds.forEach(sheetId => visit(sheetId, false));
+
+  return {
+    sheets,
+    levels: [...levels.filter(level => level.total > 0), rows],
+    excluded
+  };
+};
+
+// The summary as rows for a "Manifest" sheet next to the exported data
+export const getManifestRows = (summary, { sourceFiles, exportedAt = new Date() }) => [
+  { Section: 'Export', Item: 'Source files', Exported: sourceFiles.join(', '), Total: '' },
+  { Section: 'Export', Item: 'Exported at', Exported: exportedAt.toLocaleString(), Total: '' },
+  ...summary.sheets.map(({ name, exported, total }) => ({ Section: 'Rows per sheet', Item: name, Exported: exported, Total: total })),
+  ...summary.levels.map(({ label, exported, total }) => ({ Section: 'Per level', Item: label, Exported: exported, Total: total })),
+  ...summary.excluded.map(({ path, status, exported, total }) => ({
+    Section: status === 'excluded' ? 'Excluded' : 'Partly excluded',
+    Item: path.join(' › '),
+    Exported: exported,
+    Total: total
+  }))
+];
@@ -0,0 +1,83 @@
+// Work sessions kept in IndexedDB, so a reload doesn't mean parsing the workbook again.
+// 'sessions' holds the small part that changes with every click:
+//   { id, name, fileName, savedAt, selection, expandedNodes, edits }
+// 'sessionData' holds the parsed workbook, which only changes on upload or a tree rebuild:
+//   { id, tree, originalRowData, originalFiles, sourceFiles, qualityIssues }
+const DB_NAME = 'cmt';
+const DB_VERSION = 1;
+const SESSIONS = 'sessions';
+const SESSION_DATA = 'sessionData';
+
+let databasePromise = null;
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(SESSIONS, { keyPath: 'id' });
+        request.result.createObjectStore(SESSION_DATA, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databasePromise.catch(() => {
+      databasePromise = null; // Try again next time
+    });
+  }
+  return databasePromise;
+};
+
+// Run `work(...stores)` in one transaction and resolve, once it commits, with the result
+// of the request (or array of requests) it returns
+const runTransaction = async (storeNames, mode, work) => {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(storeNames, mode);
+    const requests = work(...storeNames.map(name => transaction.objectStore(name)));
+    transaction.oncomplete = () => resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+export const createSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// A name no other session uses: "Physics.xlsx", "Physics.xlsx (2)", ...
+export const getUniqueSessionName = (sessions, name) => {
+  const names = new Set(sessions.map(session => session.name));
+  let unique = name;
+  for (let copy = 2; names.has(unique); copy++) {
+    unique = `${name} (${copy})`;
+  }
+  return unique;
+};
+
+// Newest first, without the selection
+export const listSessions = async () => {
+  const sessions = await runTransaction([SESSIONS], 'readonly', store => store.getAll());
+  return sessions
+    .map(({ id, name, fileName, savedAt }) => ({ id, name, fileName, savedAt }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+};
+
+// Everything saved for a session, or null when it (or its workbook) is gone
+export const loadSession = async (id) => {
+  const [session, data] = await runTransaction(
+    [SESSIONS, SESSION_DATA],
+    'readonly',
+    (sessions, sessionData) => [sessions.get(id), sessionData.get(id)]
+  );
+  return session && data ? { ...data, ...session } : null;
+};
+
+export const saveSessionState = (state) =>
+  runTransaction([SESSIONS], 'readwrite', store => store.put({ ...state, savedAt: Date.now() }));
+
+export const saveSessionData = (id, data) =>
+  runTransaction([SESSION_DATA], 'readwrite', store => store.put({ ...data, id }));
+
+export const deleteSession = (id) =>
+  runTransaction([SESSIONS, SESSION_DATA], 'readwrite', (sessions, sessionData) => [sessions.delete(id), sessionData.delete(id)]);
@@ -0,0 +1,245 @@
+import * as XLSX from 'xlsx/xlsx.mjs';
+
+// Plain-text sources: delimited text (CSV, TSV...) and JSON arrays of records. They are
+// read into the same { SheetNames, Sheets } shape XLSX.read gives, with every cell as text,
+// so nothing after parsing can tell them from workbooks. The original layout export
+// writes them back as text in their own layout.
+
+export const TEXT_ENCODINGS = [
+  { id: 'utf-8', label: 'UTF-8' },
+  { id: 'utf-16le', label: 'UTF-16 LE' },
+  { id: 'utf-16be', label: 'UTF-16 BE' },
+  { id: 'windows-1252', label: 'Windows-1252 (Western European)' }
+];
+
+export const DELIMITERS = [
+  { id: ',', label: 'Comma' },
+  { id: ';', label: 'Semicolon' },
+  { id: '\t', label: 'Tab' },
+  { id: '|', label: 'Pipe' }
+];
+
+const DELIMITED_EXTENSIONS = ['csv', 'tsv', 'txt'];
+const SNIFF_BYTES = 64 * 1024; // Start of a file that delimiter detection and previews look at
+const SNIFF_ROWS = 20;
+
+const BYTE_ORDER_MARKS = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+// Edited values are text; in a cell that held a number, a number stays a number
+export const NUMBER_TEXT = /^-?\d+(\.\d+)?$/;
+
+const getExtension = (fileName) => (/\.([^.]+)$/.exec(fileName)?.[1] || '').toLowerCase();
+
+export const isDelimitedTextFile = (fileName) => DELIMITED_EXTENSIONS.includes(getExtension(fileName));
+
+export const isJsonFile = (fileName) => getExtension(fileName) === 'json';
+
+export const isTextSource = (fileName) => isDelimitedTextFile(fileName) || isJsonFile(fileName);
+
+// Dates in file names: 2026-09, 2026_09_30, 20260930, 30-09-2026...
+const FILE_NAME_DATE = /\d{4}[-_.]?\d{2}(?:[-_.]?\d{2})?|\d{2}[-_.]\d{2}[-_.]\d{4}/g;
+
+// A delimited file or JSON array is a single sheet, named after the file without its
+// extension or any date in it, so presets and version diffs (keyed on sheet names) match
+// from one month's export to the next: export_2026-09.csv and export_2026-10.csv are
+// both "export". "Sheet1", as SheetJS names a CSV's sheet, when nothing else is left.
+const getTextSheetName = (fileName) => fileName
+  .replace(/\.[^.]+$/, '')
+  .replace(FILE_NAME_DATE, ' ')
+  .replace(/[\s_.-]*\s[\s_.-]*/g, ' ')
+  .replace(/^[\s_.-]+|[\s_.-]+$/g, '') || 'Sheet1';
+
+const getByteOrderMark = (bytes) =>
+  BYTE_ORDER_MARKS.find(bom => bom.bytes.every((byte, index) => bytes[index] === byte));
+
+// A byte order mark decides; otherwise UTF-8 when the bytes are valid UTF-8, and the
+// usual Windows encoding for Western European text when they aren't
+export const detectEncoding = (bytes) => {
+  const bom = getByteOrderMark(bytes);
+  if (bom) return bom.encoding;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    return 'utf-8';
+  } catch {
+    return 'windows-1252';
+  }
+};
+
+// Decoding drops the byte order mark
+const decodeText = (bytes, encoding) => new TextDecoder(encoding).decode(bytes);
+
+// Rows of delimited text as arrays of strings, stopping after `maxRows`. Quoted fields may
+// hold delimiters, line breaks and doubled quotes; a quote only opens a field at its start.
+export const parseDelimited = (text, delimiter, maxRows = Infinity) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(field);
+    rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        field += char;
+      } else if (text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (rows.length < maxRows && (field !== '' || row.length > 0)) endRow();
+  return rows;
+};
+
+const isBlankRow = (row) => row.every(value => value === '');
+
+// The delimiter that splits the first rows into the same number (more than one) of fields
+// most often; comma when none does
+export const detectDelimiter = (text) => {
+  let best = { delimiter: ',', score: 0 };
+  DELIMITERS.forEach(({ id }) => {
+    const rows = parseDelimited(text, id, SNIFF_ROWS).filter(row => !isBlankRow(row));
+    const width = rows[0]?.length || 0;
+    if (width < 2) return;
+    const score = rows.filter(row => row.length === width).length;
+    if (score > best.score) best = { delimiter: id, score };
+  });
+  return best.delimiter;
+};
+
+// Encoding and delimiter of a delimited file, as { encoding, delimiter, hasByteOrderMark }
+export const detectDelimitedOptions = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const encoding = detectEncoding(bytes);
+  return {
+    encoding,
+    delimiter: detectDelimiter(decodeText(bytes.subarray(0, SNIFF_BYTES), encoding)),
+    hasByteOrderMark: Boolean(getByteOrderMark(bytes))
+  };
+};
+
+// First rows of a delimited file read with the given options, for a preview
+export const previewDelimited = (buffer, { encoding, delimiter }, rowCount) =>
+  parseDelimited(decodeText(new Uint8Array(buffer).subarray(0, SNIFF_BYTES), encoding), delimiter, rowCount + 1)
+    .slice(0, rowCount);
+
+const toCellText = (value) => {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+// { sheetName: records } from a JSON array of records (a single sheet) or
+// an object of such arrays, which is what the flat JSON export writes
+const getJsonSheets = (data, fileName) => {
+  const sheets = Array.isArray(data) ? { [getTextSheetName(fileName)]: data } : data;
+  const records = sheets && typeof sheets === 'object' ? Object.values(sheets) : [];
+  if (records.length === 0 || !records.every(sheetRecords => Array.isArray(sheetRecords) &&
+    sheetRecords.every(record => record && typeof record === 'object' && !Array.isArray(record)))) {
+    throw new Error(`${fileName} is not a JSON array of records, or an object of such arrays`);
+  }
+  return sheets;
+};
+
+// Header row (every key, in order of first appearance) followed by one row per record
+const recordsToRows = (records) => {
+  const columns = new Set();
+  records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+  return [Array.from(columns), ...records.map(record => Array.from(columns, column => toCellText(record[column])))];
+};
+
+// Text cells only, so values are read exactly as written; blank lines stay blank rows
+const rowsToWorksheet = (rows) => XLSX.utils.aoa_to_sheet(
+  rows.map(row => (isBlankRow(row) ? [] : row.map(value => (value === '' ? null : value))))
+);
+
+// Workbook-shaped contents of a text source. Delimited files use `options` ({ encoding,
+// delimiter }, as chosen in the preview) or detect them.
+export const readTextWorkbook = (buffer, fileName, options = {}) => {
+  const bytes = new Uint8Array(buffer);
+  const text = decodeText(bytes, options.encoding || detectEncoding(bytes));
+  const sheets = {};
+  if (isJsonFile(fileName)) {
+    Object.entries(getJsonSheets(JSON.parse(text), fileName)).forEach(([name, records]) => {
+      sheets[name] = rowsToWorksheet(recordsToRows(records));
+    });
+  } else {
+    const delimiter = options.delimiter || detectDelimiter(text.slice(0, SNIFF_BYTES));
+    sheets[getTextSheetName(fileName)] = rowsToWorksheet(parseDelimited(text, delimiter));
+  }
+  return { SheetNames: Object.keys(sheets), Sheets: sheets };
+};
+
+const quoteField = (value, delimiter) => {
+  const text = String(value ?? '');
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Original layout export of a text source ({ name, buffer, textOptions }): the same rows
+// minus the removed ones (0-based worksheet rows, the header being row 0), with edited
+// cells, in the source's delimiter or JSON shape. Text is written as UTF-8, with a byte
+// order mark when the source had one or was in another encoding.
+export const editTextSource = (file, removedRowsBySheet, editedCellsBySheet) => {
+  const bytes = new Uint8Array(file.buffer);
+  const encoding = file.textOptions?.encoding || detectEncoding(bytes);
+  const text = decodeText(bytes, encoding);
+
+  if (isJsonFile(file.name)) {
+    const data = JSON.parse(text);
+    const sheets = {};
+    Object.entries(getJsonSheets(data, file.name)).forEach(([name, records]) => {
+      const editedRecords = records.map(record => ({ ...record }));
+      (editedCellsBySheet[name] || []).forEach(({ row, column, value }) => {
+        const record = editedRecords[row - 1];
+        if (!record) return;
+        record[column] = typeof record[column] === 'number' && NUMBER_TEXT.test(value) ? Number(value) : value;
+      });
+      const removed = new Set(removedRowsBySheet[name] || []);
+      sheets[name] = editedRecords.filter((record, index) => !removed.has(index + 1));
+    });
+    return { data: JSON.stringify(Array.isArray(data) ? Object.values(sheets)[0] : sheets, null, 2), extension: 'json' };
+  }
+
+  const delimiter = file.textOptions?.delimiter || detectDelimiter(text.slice(0, SNIFF_BYTES));
+  const sheetName = getTextSheetName(file.name);
+  const rows = parseDelimited(text, delimiter);
+  const header = rows[0] || [];
+  (editedCellsBySheet[sheetName] || []).forEach(({ row, column, value }) => {
+    const columnIndex = header.indexOf(column);
+    if (!rows[row] || columnIndex === -1) return;
+    while (rows[row].length < columnIndex) rows[row].push('');
+    rows[row][columnIndex] = value;
+  });
+
+  const removed = new Set(removedRowsBySheet[sheetName] || []);
+  const lineBreak = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = rows
+    .filter((row, index) => !removed.has(index))
+    .map(row => row.map(value => quoteField(value, delimiter)).join(delimiter));
+  const bom = getByteOrderMark(bytes) || encoding !== 'utf-8' ? '\uFEFF' : '';
+  return {
+    data: bom + lines.join(lineBreak) + (/[\r\n]$/.test(text) ? lineBreak : ''),
+    extension: getExtension(file.name)
+  };
+};
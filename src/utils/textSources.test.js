@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { detectDelimiter, detectEncoding } from './textSources.js';
+
+describe('detectDelimiter', () => {
+  test('picks the delimiter that splits every row into the same number of fields', () => {
+    assert.equal(detectDelimiter('Class;Topic;Duration\n7;Mirrors, plane;10\n7;Lenses;8\n'), ';');
+    assert.equal(detectDelimiter('Class\tTopic\n7\tMirrors; plane\n'), '\t');
+    assert.equal(detectDelimiter('Class|Topic\n7|Mirrors\n'), '|');
+  });
+
+  test('ignores delimiters inside quoted fields and blank lines', () => {
+    assert.equal(detectDelimiter('Class,Topic\n7,"Mirrors; plane; flat"\n\n8,Waves\n'), ',');
+  });
+
+  test('falls back to a comma when no delimiter splits the header', () => {
+    assert.equal(detectDelimiter('Topic\nMirrors\n'), ',');
+  });
+});
+
+describe('detectEncoding', () => {
+  test('reads the byte order mark, then tells UTF-8 from Windows-1252', () => {
+    assert.equal(detectEncoding(new Uint8Array([0xff, 0xfe, 0x41, 0x00])), 'utf-16le');
+    assert.equal(detectEncoding(new TextEncoder().encode('Café')), 'utf-8');
+    assert.equal(detectEncoding(new Uint8Array([0x43, 0x61, 0x66, 0xe9])), 'windows-1252');
+  });
+});
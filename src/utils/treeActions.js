@@ -0,0 +1,75 @@
+import { getRowNodeId, isRowNode } from './contentTree.js';
+
+// Bulk actions over the node model. Depths and levels follow node.level: 0 is the sheet,
+// 1..N the hierarchy levels and N + 1 the rows of a sheet mapped with N levels.
+
+// Deepest hierarchy level of any sheet
+export const getMaxHierarchyDepth = (tree) =>
+  tree.rootIds.reduce((max, sheetId) => Math.max(max, tree.nodes[sheetId].levelColumns.length), 0);
+
+// Expanded state that shows every node down to `depth` and nothing below; 0 collapses all
+export const getExpandedToDepth = (tree, depth) => {
+  const expanded = {};
+  Object.values(tree.nodes).forEach(node => {
+    if (!isRowNode(node) && node.level < depth) expanded[node.id] = true;
+  });
+  return expanded;
+};
+
+// How a name is matched when selecting at a level; the label completes "every chapter ..."
+export const NAME_MATCH_MODES = [
+  { id: 'exact', label: 'named' },
+  { id: 'contains', label: 'whose name contains' }
+];
+
+// Hierarchy nodes at `level` whose name is `query` (or contains it, with matchMode
+// 'contains'), ignoring case and surrounding spaces; an empty query matches every node
+// at that level
+export const findNodesAtLevel = (tree, level, query, matchMode = 'exact') => {
+  const needle = query.trim().toLowerCase();
+  const matches = (name) => {
+    const text = String(name).trim().toLowerCase();
+    return matchMode === 'contains' ? text.includes(needle) : needle === '' || text === needle;
+  };
+  return Object.values(tree.nodes)
+    .filter(node => node.level === level && !isRowNode(node) && matches(node.name))
+    .map(node => node.id);
+};
+
+// Siblings from `anchorId` to `nodeId`, both included, in display order; null when the two
+// don't share a parent. `isVisible` leaves out siblings hidden by a search.
+export const getSiblingRange = (tree, anchorId, nodeId, isVisible = () => true) => {
+  const anchor = tree.nodes[anchorId];
+  const node = tree.nodes[nodeId];
+  if (!anchor || !node || anchor.parentId !== node.parentId) return null;
+
+  const siblingIds = node.parentId === null ? tree.rootIds : tree.nodes[node.parentId].childIds;
+  const from = siblingIds.indexOf(anchorId);
+  const to = siblingIds.indexOf(nodeId);
+  return siblingIds
+    .slice(Math.min(from, to), Math.max(from, to) + 1)
+    .filter(id => id === anchorId || id === nodeId || isVisible(id));
+};
+
+// Expanded state for a tree rebuilt from the same rows, where node ids (and maybe names)
+// changed: each expanded node is found again through one of its rows, at the same level
+export const carryExpandedNodes = (previousTree, expandedNodes, tree) => {
+  const sheetIds = new Map(tree.rootIds.map(id => [tree.nodes[id].name, id]));
+  const expanded = {};
+  Object.keys(expandedNodes).forEach(nodeId => {
+    let node = previousTree.nodes[nodeId];
+    if (!expandedNodes[nodeId] || !node || isRowNode(node)) return;
+    const { level } = node;
+    while (node && !node.rowIndices) node = previousTree.nodes[node.childIds[0]];
+    if (!node) return; // A sheet without rows
+    let previousSheet = node;
+    while (previousSheet.parentId !== null) previousSheet = previousTree.nodes[previousSheet.parentId];
+
+    const sheetId = sheetIds.get(previousSheet.name);
+    if (sheetId === undefined) return;
+    let id = getRowNodeId(sheetId, node.rowIndices[0]);
+    while (id && tree.nodes[id] && tree.nodes[id].level > level) id = tree.nodes[id].parentId;
+    if (tree.nodes[id]?.level === level) expanded[id] = true;
+  });
+  return expanded;
+};
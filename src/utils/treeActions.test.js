@@ -0,0 +1,27 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildContentTree } from './contentTree.js';
+import { findNodesAtLevel } from './treeActions.js';
+
+const MAPPING = { depth: 4, columns: ['Class', 'Subject', 'Chapter', 'Topic'] };
+
+const { tree } = buildContentTree([{
+  name: 'Science',
+  columns: MAPPING.columns,
+  rows: [
+    { Class: '7', Subject: 'Physics', Chapter: 'Revision', Topic: 'Light' },
+    { Class: '7', Subject: 'Physics', Chapter: 'Revision Test', Topic: 'Sound' },
+    { Class: '8', Subject: 'Chemistry', Chapter: 'revision ', Topic: 'Acids' }
+  ]
+}], { Science: MAPPING });
+
+const names = (nodeIds) => nodeIds.map(id => tree.nodes[id].name);
+
+test('matches names exactly by default, ignoring case and surrounding spaces', () => {
+  assert.deepEqual(names(findNodesAtLevel(tree, 3, 'Revision')).sort(), ['Revision', 'revision']);
+});
+
+test('matches names containing the text when asked to', () => {
+  assert.equal(findNodesAtLevel(tree, 3, 'revision', 'contains').length, 3);
+  assert.equal(findNodesAtLevel(tree, 3, '').length, 3);
+});
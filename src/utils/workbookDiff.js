@@ -0,0 +1,123 @@
+import { buildPathIndex, getNodePath, getPathKey, getRowNodeId, getWorksheetRowNumber } from './contentTree.js';
+
+// Matching by the whole row instead of a key column
+export const FULL_ROW_KEY = '';
+
+// Columns every compared sheet has, outside the hierarchy: candidates for matching rows
+export const getKeyColumnCandidates = (tree, previousTree) => {
+  const sheetNodes = [
+    ...tree.rootIds.map(sheetId => tree.nodes[sheetId]),
+    ...previousTree.rootIds.map(sheetId => previousTree.nodes[sheetId])
+  ];
+  return sheetNodes
+    .map(({ columns, levelColumns }) => columns.filter(column => !levelColumns.includes(column)))
+    .reduce((common, columns) => common.filter(column => columns.includes(column)));
+};
+
+const getCellText = (row, column) => String(row[column] ?? '');
+
+// Compare the current workbook with a previous version, sheet by sheet (by name).
+// With a key column, rows with the same key are the same row, and any changed cell
+// makes it modified; without one, rows match only when every cell is equal. Repeated
+// keys pair up in order. Returns:
+//   rowStatus: current row ID -> 'added' | 'modified'
+//   nodeStatus: current node ID -> 'added' (path not in the previous file) | 'changed'
+//   removedRows: [{ sheetName, rowNumber, path }] rows only in the previous file
+//   removedPaths: top-most hierarchy paths only in the previous file
+export const diffWorkbooks = (previous, current, keyColumn = FULL_ROW_KEY) => {
+  const rowStatus = {};
+  const nodeStatus = {};
+  const removedRows = [];
+  const previousSheetIds = new Map(previous.tree.rootIds.map(id => [previous.tree.nodes[id].name, id]));
+
+  current.tree.rootIds.forEach(sheetId => {
+    const sheetNode = current.tree.nodes[sheetId];
+    const rows = current.originalRowData[sheetNode.name] || [];
+    const previousSheetId = previousSheetIds.get(sheetNode.name);
+    const previousSheet = previousSheetId && previous.tree.nodes[previousSheetId];
+    const previousRows = previousSheet ? previous.originalRowData[sheetNode.name] || [] : [];
+    const columns = Array.from(new Set([...sheetNode.columns, ...(previousSheet?.columns || [])]));
+    const getKey = (row) => keyColumn === FULL_ROW_KEY
+      ? JSON.stringify(columns.map(column => getCellText(row, column)))
+      : getCellText(row, keyColumn);
+
+    // Key -> previous row indices not matched yet, in order
+    const unmatched = new Map();
+    previousRows.forEach((row, rowIndex) => {
+      const key = getKey(row);
+      if (!unmatched.has(key)) unmatched.set(key, []);
+      unmatched.get(key).push(rowIndex);
+    });
+
+    rows.forEach((row, rowIndex) => {
+      const candidates = unmatched.get(getKey(row));
+      const rowId = getRowNodeId(sheetId, rowIndex);
+      if (!candidates || candidates.length === 0) {
+        rowStatus[rowId] = 'added';
+        return;
+      }
+      const previousRow = previousRows[candidates.shift()];
+      if (columns.some(column => getCellText(row, column) !== getCellText(previousRow, column))) {
+        rowStatus[rowId] = 'modified';
+      }
+    });
+
+    unmatched.forEach(rowIndices => rowIndices.forEach(rowIndex => {
+      removedRows.push({
+        sheetName: sheetNode.name,
+        rowNumber: getWorksheetRowNumber(previousSheet, rowIndex),
+        path: getNodePath(previous.tree, previousRows[rowIndex]._leafId)
+      });
+    }));
+  });
+
+  // Rows of sheets that are gone entirely
+  previous.tree.rootIds.forEach(previousSheetId => {
+    const previousSheet = previous.tree.nodes[previousSheetId];
+    if (current.tree.rootIds.some(sheetId => current.tree.nodes[sheetId].name === previousSheet.name)) return;
+    (previous.originalRowData[previousSheet.name] || []).forEach((row, rowIndex) => {
+      removedRows.push({
+        sheetName: previousSheet.name,
+        rowNumber: getWorksheetRowNumber(previousSheet, rowIndex),
+        path: getNodePath(previous.tree, row._leafId)
+      });
+    });
+  });
+
+  // New branches are marked added; their ancestors and the parents of changed rows are changed
+  const previousPaths = buildPathIndex(previous.tree);
+  const currentPaths = buildPathIndex(current.tree);
+  const markChanged = (nodeId) => {
+    for (let id = nodeId; id !== null && !nodeStatus[id]; id = current.tree.nodes[id].parentId) {
+      nodeStatus[id] = 'changed';
+    }
+  };
+  currentPaths.forEach((nodeId, pathKey) => {
+    if (previousPaths.has(pathKey)) return;
+    nodeStatus[nodeId] = 'added';
+    const { parentId } = current.tree.nodes[nodeId];
+    if (parentId !== null) markChanged(parentId);
+  });
+  Object.keys(rowStatus).forEach(rowId => markChanged(current.tree.nodes[rowId].parentId));
+  removedRows.forEach(({ path }) => {
+    // The deepest part of a removed row's path that still exists is what changed
+    for (let length = path.length; length > 0; length--) {
+      const nodeId = currentPaths.get(getPathKey(path.slice(0, length)));
+      if (nodeId) {
+        markChanged(nodeId);
+        break;
+      }
+    }
+  });
+
+  const removedPaths = [];
+  previousPaths.forEach((nodeId, pathKey) => {
+    if (currentPaths.has(pathKey)) return;
+    const { parentId } = previous.tree.nodes[nodeId];
+    if (parentId === null || currentPaths.has(getPathKey(getNodePath(previous.tree, parentId)))) {
+      removedPaths.push(getNodePath(previous.tree, nodeId));
+    }
+  });
+
+  return { rowStatus, nodeStatus, removedRows, removedPaths };
+};
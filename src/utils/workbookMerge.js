@@ -0,0 +1,55 @@
+// Several uploaded workbooks become one set of sheets. A sheet name used by more than
+// one file is either namespaced with the file name or combined into one sheet.
+
+export const SHEET_COLLISION_MODES = [
+  { id: 'namespace', label: 'Keep separate', description: 'Each file gets its own sheet, named after the file, e.g. "Science (cbse)"' },
+  { id: 'combine', label: 'Combine', description: 'Rows from every file go into one sheet with that name' }
+];
+
+const getBaseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// Sheet names that appear in more than one file
+export const getSheetCollisions = (sheetHeaders) => {
+  const filesBySheet = new Map();
+  sheetHeaders.forEach(({ sheetName, fileIndex }) => {
+    if (!filesBySheet.has(sheetName)) filesBySheet.set(sheetName, new Set());
+    filesBySheet.get(sheetName).add(fileIndex);
+  });
+  return Array.from(filesBySheet.entries())
+    .filter(([, files]) => files.size > 1)
+    .map(([sheetName]) => sheetName);
+};
+
+// Parsed sheets ({ fileIndex, fileName, sheetName, headers }) -> the sheets of the session:
+//   sheets: [{ sheetName, headers }] to map columns for
+//   sheetSources: sheet name -> [{ fileIndex, sheetName }] it is read from, in order
+// Combined sheets take every header of their sources, in order of first appearance.
+export const resolveSheetSources = (sheetHeaders, mode = 'namespace') => {
+  const collisions = new Set(getSheetCollisions(sheetHeaders));
+  const sheets = [];
+  const sheetSources = {};
+
+  sheetHeaders.forEach(({ fileIndex, fileName, sheetName, headers }) => {
+    const source = { fileIndex, sheetName };
+
+    if (collisions.has(sheetName) && mode === 'combine') {
+      const combined = sheets.find(sheet => sheet.sheetName === sheetName);
+      if (combined) {
+        headers.forEach(header => {
+          if (!combined.headers.includes(header)) combined.headers.push(header);
+        });
+        sheetSources[sheetName].push(source);
+        return;
+      }
+    }
+
+    let name = collisions.has(sheetName) && mode === 'namespace' ? `${sheetName} (${getBaseName(fileName)})` : sheetName;
+    for (let copy = 2; sheetSources[name]; copy++) {
+      name = `${sheetName} (${getBaseName(fileName)} ${copy})`;
+    }
+    sheets.push({ sheetName: name, headers: [...headers] });
+    sheetSources[name] = [source];
+  });
+
+  return { sheets, sheetSources };
+};
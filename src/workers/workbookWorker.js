@@ -0,0 +1,46 @@
+import { buildContent, getWorkbookSheets, readSheets, readWorkbook } from '../core/contentCore.js';
+
+// Parsed workbooks ({ fileName, workbook }) kept between the "parse" and "build" steps
+// while the user maps columns
+let workbooks = [];
+
+const postProgress = (stage, progress) => {
+  self.postMessage({ type: 'progress', stage, progress });
+};
+
+const parseWorkbooks = (files) => {
+  workbooks = files.map(({ name, buffer, textOptions }, fileIndex) => {
+    postProgress(`Parsing ${name}...`, (fileIndex / files.length) * 100);
+    return { fileName: name, workbook: readWorkbook(buffer, name, textOptions) };
+  });
+  return getWorkbookSheets(workbooks);
+};
+
+// `sheetSources` lists, per sheet of the session, the file sheets its rows come from
+const buildTree = (sheetMappings, sheetSources, normalizationRules) => {
+  if (workbooks.length === 0) {
+    throw new Error('No workbook has been parsed');
+  }
+
+  const sheets = readSheets(workbooks, sheetMappings, sheetSources, name => postProgress(`Reading rows from ${name}...`, 0));
+  workbooks = []; // Rows are extracted; release the workbooks
+
+  const content = buildContent(sheets, sheetMappings, normalizationRules, ({ sheetName, rowNumber, sheetRows, processedRows, totalRows }) => {
+    postProgress(`Processing ${sheetName}: row ${rowNumber} of ${sheetRows}`, (processedRows / totalRows) * 100);
+  });
+  return content;
+};
+
+self.onmessage = (event) => {
+  const { type } = event.data;
+  try {
+    if (type === 'parse') {
+      self.postMessage({ type: 'parsed', sheetHeaders: parseWorkbooks(event.data.files) });
+    } else if (type === 'build') {
+      const { sheetMappings, sheetSources, normalizationRules } = event.data;
+      self.postMessage({ type: 'built', ...buildTree(sheetMappings, sheetSources, normalizationRules) });
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};